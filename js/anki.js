@@ -0,0 +1,626 @@
+/* ======================================================
+   Anki - Anki デッキ (.apkg / テキスト) の読み書き
+   ======================================================
+   【アーキテクト視点】
+   - .apkg は zip に入った SQLite（collection.anki2）。JSZip と sql.js を
+     必要になったときだけ CDN から読み込み、普段の起動を重くしない
+   - 読み込み結果は「フィールド名 → 値」の表にして、単語への対応付けは
+     呼び出し側（取り込み画面）で確認してから toWords で行う
+   - 認識 (英→日) のカードを 1 枚目、想起 (日→英) のカードを 2 枚目として
+     学習状況（間隔・容易度・次回復習）を相互に変換する
+
+   【ユーザー視点】
+   - 授業の Anki デッキをそのまま取り込み、VocabSnap の単語を PC の Anki で復習できる
+   ====================================================== */
+
+const Anki = (function () {
+  'use strict';
+
+  const JSZIP_URL = 'https://cdn.jsdelivr.net/npm/jszip@3.10.1/dist/jszip.min.js';
+  const SQLJS_BASE_URL = 'https://cdn.jsdelivr.net/npm/sql.js@1.10.3/dist/';
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const FIELD_SEPARATOR = '\x1f';
+
+  // 取り込み先のフィールド（'' は取り込まない）
+  const TARGET_FIELDS = {
+    word: '単語',
+    meaning: '意味',
+    phonetic: '発音記号',
+    pos: '品詞',
+    examples: '例文',
+    memo: 'メモ',
+    '': '取り込まない'
+  };
+
+  // 書き出すノートタイプのフィールド（順番が Anki のフィールド順）
+  const EXPORT_FIELDS = [
+    ['Word', 'word'],
+    ['Meaning', 'meaning'],
+    ['Phonetic', 'phonetic'],
+    ['POS', 'pos'],
+    ['Examples', 'examples'],
+    ['Memo', 'memo']
+  ];
+
+  // Anki のフィールド名から取り込み先を推測
+  const FIELD_GUESSES = [
+    ['word', /^(word|front|expression|vocab|英単語|単語|表面|英語)/i],
+    ['meaning', /^(meaning|back|definition|translation|意味|裏面|日本語|訳)/i],
+    ['phonetic', /^(phonetic|pronunciation|ipa|reading|発音)/i],
+    ['pos', /^(pos|part.?of.?speech|品詞)/i],
+    ['examples', /^(example|sentence|例文|用例)/i],
+    ['memo', /^(memo|note|extra|comment|メモ|備考)/i]
+  ];
+
+  // 学習段階 ↔ Anki のカード種別 (type)
+  const CARD_TYPES = { new: 0, learning: 1, review: 2, relearning: 3 };
+  const CARD_PHASES = ['new', 'learning', 'review', 'relearning'];
+
+  // 何枚目のカードがどのトラックか
+  const CARD_TRACKS = ['recognition', 'recall'];
+
+  // ===================================================
+  // ライブラリの読み込み
+  // ===================================================
+
+  const scripts = new Map();
+  let sqlPromise = null;
+
+  function loadScript(url) {
+    if (!scripts.has(url)) {
+      scripts.set(url, new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = url;
+        script.onload = resolve;
+        script.onerror = () => {
+          scripts.delete(url);
+          reject(new Error('Anki形式の処理に必要なライブラリを取得できませんでした。ネット接続を確認してください。'));
+        };
+        document.head.appendChild(script);
+      }));
+    }
+    return scripts.get(url);
+  }
+
+  async function loadLibraries() {
+    await Promise.all([loadScript(JSZIP_URL), loadScript(SQLJS_BASE_URL + 'sql-wasm.js')]);
+    if (!sqlPromise) {
+      sqlPromise = initSqlJs({ locateFile: file => SQLJS_BASE_URL + file }).catch(e => {
+        sqlPromise = null;
+        throw e;
+      });
+    }
+    return { JSZip, SQL: await sqlPromise };
+  }
+
+  // ===================================================
+  // フィールドの変換
+  // ===================================================
+
+  const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+  /**
+   * Anki のフィールド（HTML）をプレーンテキストに
+   */
+  function htmlToText(html) {
+    return String(html || '')
+      .replace(/\[sound:[^\]]*\]/g, '')
+      .replace(/<br\s*\/?>|<\/(div|p|li)>/gi, '\n')
+      .replace(/<[^>]*>/g, '')
+      .replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (m, code) => {
+        if (code[0] !== '#') return ENTITIES[code.toLowerCase()] || m;
+        const n = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        return String.fromCodePoint(n);
+      })
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean)
+      .join('\n');
+  }
+
+  function textToHtml(text) {
+    return String(text || '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/\n/g, '<br>');
+  }
+
+  // 例文は1行に「英文 / 訳」
+  function parseExamples(text) {
+    return text.split('\n').map(line => {
+      const [en, ...ja] = line.split(' / ');
+      return { en: en.trim(), ja: ja.join(' / ').trim() };
+    }).filter(ex => ex.en);
+  }
+
+  function formatExamples(examples) {
+    return (examples || []).map(ex => (ex.ja ? `${ex.en} / ${ex.ja}` : ex.en)).join('\n');
+  }
+
+  // Anki のタグは空白区切りなので、空白は _ に置き換える
+  const formatTags = tags => (tags || []).map(t => t.trim().replace(/\s+/g, '_')).filter(Boolean).join(' ');
+  const parseTags = tags => String(tags || '').split(/\s+/).filter(Boolean);
+
+  /**
+   * フィールド名から取り込み先を推測（単語・意味が決まらなければ先頭の列から割り当て）
+   * @param {string[]} fields - フィールド名
+   * @returns {Object} フィールド名 → 取り込み先
+   */
+  function guessMapping(fields) {
+    const mapping = {};
+    const used = new Set();
+    fields.forEach(name => {
+      const guess = FIELD_GUESSES.find(([target, pattern]) => !used.has(target) && pattern.test(name.trim()));
+      mapping[name] = guess ? guess[0] : '';
+      if (guess) used.add(guess[0]);
+    });
+    ['word', 'meaning'].forEach(target => {
+      if (used.has(target)) return;
+      const free = fields.find(name => !mapping[name]);
+      if (free) {
+        mapping[free] = target;
+        used.add(target);
+      }
+    });
+    return mapping;
+  }
+
+  // ===================================================
+  // 学習状況の変換
+  // ===================================================
+
+  /**
+   * Anki のカード → SRSデータ
+   * - 期限 (due) は復習カードなら作成日からの日数、学習中なら UNIX 秒
+   * - Anki の reps は通算の回答数だが、連続正解数として扱う（最も近い値）
+   */
+  function cardToSrs(card, collectionCreated) {
+    const phase = CARD_PHASES[card.type] || 'new';
+    if (phase === 'new') return SRS.normalize(null);
+
+    const due = card.due > 1e9 ? card.due * 1000 : (collectionCreated + card.due * 86400) * 1000;
+    const interval = Math.max(0, card.ivl); // 学習中の負の値は秒単位
+    return SRS.normalize({
+      repetitions: card.reps,
+      easeFactor: card.factor ? card.factor / 1000 : undefined,
+      interval,
+      nextReview: due,
+      lastReview: Math.min(Date.now(), due - interval * DAY_MS),
+      phase,
+      step: phase === 'review' ? null : 0,
+      lapses: card.lapses
+    });
+  }
+
+  /**
+   * SRSデータ → Anki のカードの予定
+   */
+  function srsToCard(srs, collectionCreated, position) {
+    const phase = SRS.getPhase(srs);
+    const card = {
+      type: CARD_TYPES[phase],
+      queue: CARD_TYPES[phase],
+      due: position,
+      ivl: 0,
+      factor: 0,
+      reps: srs.repetitions || 0,
+      lapses: srs.lapses || 0,
+      left: 0
+    };
+    if (phase === 'new') return card;
+
+    card.factor = Math.round((srs.easeFactor || 2.5) * 1000);
+    card.ivl = Math.max(phase === 'learning' ? 0 : 1, Math.round(srs.interval || 0));
+    if (phase === 'review') {
+      card.due = Math.max(0, Math.floor((SRS.startOfDay(srs.nextReview || Date.now()) / 1000 - collectionCreated) / 86400));
+    } else {
+      card.queue = 1; // 学習中・再学習中は分単位のキュー
+      card.due = Math.floor((srs.nextReview || Date.now()) / 1000);
+      card.left = 1001;
+    }
+    return card;
+  }
+
+  // ===================================================
+  // 読み込み
+  // ===================================================
+
+  function queryAll(db, sql) {
+    const stmt = db.prepare(sql);
+    const rows = [];
+    while (stmt.step()) rows.push(stmt.getAsObject());
+    stmt.free();
+    return rows;
+  }
+
+  /**
+   * .apkg を読み込む
+   * @param {Blob} file
+   * @returns {Promise<{ fields: string[], rows: Array, hasSrs: boolean, errors: Array }>}
+   *   rows: { values: { フィールド名: テキスト }, tags, tracks: { recognition?, recall? }, suspended }
+   */
+  async function readPackage(file) {
+    const { JSZip, SQL } = await loadLibraries();
+    const zip = await JSZip.loadAsync(file);
+    const entry = zip.file('collection.anki21') || zip.file('collection.anki2');
+    if (zip.file('collection.anki21b') && !zip.file('collection.anki21')) {
+      throw new Error('新しい形式の .apkg です。Anki で「旧バージョンのAnkiとの互換性」を有効にして書き出し直してください');
+    }
+    if (!entry) throw new Error('Anki のデッキファイルではありません');
+
+    const db = new SQL.Database(await entry.async('uint8array'));
+    let col, notes, cards;
+    try {
+      [col] = queryAll(db, 'SELECT crt, models FROM col');
+      notes = queryAll(db, 'SELECT id, mid, tags, flds FROM notes ORDER BY id');
+      cards = queryAll(db, 'SELECT nid, ord, type, queue, due, ivl, factor, reps, lapses FROM cards');
+    } finally {
+      db.close();
+    }
+
+    const models = JSON.parse(col.models);
+    const fieldNames = mid => ((models[mid] && models[mid].flds) || [])
+      .slice()
+      .sort((a, b) => a.ord - b.ord)
+      .map(f => f.name);
+
+    const cardsByNote = new Map();
+    cards.forEach(card => {
+      if (!cardsByNote.has(card.nid)) cardsByNote.set(card.nid, []);
+      cardsByNote.get(card.nid).push(card);
+    });
+
+    const fields = [];
+    let hasSrs = false;
+    const rows = notes.map(note => {
+      const names = fieldNames(note.mid);
+      const values = {};
+      note.flds.split(FIELD_SEPARATOR).forEach((value, i) => {
+        const name = names[i] || `フィールド${i + 1}`;
+        if (!fields.includes(name)) fields.push(name);
+        values[name] = htmlToText(value);
+      });
+
+      const tracks = {};
+      let suspended = false;
+      (cardsByNote.get(note.id) || []).forEach(card => {
+        const track = CARD_TRACKS[card.ord];
+        if (!track) return;
+        tracks[track] = cardToSrs(card, col.crt);
+        if (card.type !== 0) hasSrs = true;
+        if (card.ord === 0 && card.queue === -1) suspended = true;
+      });
+      return { values, tags: parseTags(note.tags), tracks, suspended };
+    });
+
+    return { fields, rows, hasSrs, errors: [] };
+  }
+
+  /**
+   * Anki の「テキストとして書き出したノート」(.txt) を読み込む
+   * 先頭の「#separator:tab」「#html:true」「#columns:…」「#tags column:N」などの指定に従う
+   * @param {string} text
+   * @returns {{ fields: string[], rows: Array, hasSrs: boolean, errors: Array<{ line: number, reason: string }> }}
+   *   errors: 読めなかった行（閉じていない引用符など。それ以降のノートは取り込まれない）
+   */
+  function readTsv(text) {
+    const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+    const headers = {};
+    let headerLines = 0;
+    while (lines.length > 0 && lines[0].startsWith('#')) {
+      const match = lines.shift().slice(1).match(/^([^:]+):(.*)$/);
+      if (match) headers[match[1].trim().toLowerCase()] = match[2].trim();
+      headerLines++;
+    }
+
+    const separators = { tab: '\t', comma: ',', semicolon: ';', pipe: '|', space: ' ', colon: ':' };
+    const separator = separators[(headers.separator || 'tab').toLowerCase()] || headers.separator || '\t';
+    const html = headers.html !== 'false';
+    const parsed = CSV.parse(lines.join('\n'), separator);
+    // 行番号はファイル先頭の「#…」の行も含めて数える
+    const errors = parsed.errors.map(e => ({ ...e, line: e.line + headerLines }));
+    const table = parsed.records.map(r => r.cells);
+    if (table.length === 0) {
+      throw new Error(errors.length > 0 ? `${errors[0].line}行目: ${errors[0].reason}` : '取り込めるノートがありません');
+    }
+
+    // 「… column:N」は1始まり。タグ以外（guid・ノートタイプ・デッキ）は取り込まない
+    const special = {};
+    Object.entries(headers).forEach(([key, value]) => {
+      const match = key.match(/^(\w+) column$/);
+      if (match) special[Number(value) - 1] = match[1];
+    });
+    const width = Math.max(...table.map(row => row.length));
+    const columnNames = headers.columns ? headers.columns.split(separator) : [];
+    const fields = [];
+    for (let i = 0; i < width; i++) {
+      if (!special[i]) fields.push(columnNames[i] || `フィールド${i + 1}`);
+    }
+
+    const rows = table.map(row => {
+      const values = {};
+      let tags = [];
+      let f = 0;
+      row.forEach((value, i) => {
+        if (special[i] === 'tags') tags = parseTags(value);
+        if (special[i]) return;
+        values[fields[f++]] = html ? htmlToText(value) : value.trim();
+      });
+      return { values, tags, tracks: {}, suspended: false };
+    });
+
+    return { fields, rows, hasSrs: false, errors };
+  }
+
+  /**
+   * 読み込んだ表を対応付けに従って単語データにする
+   * @param {Object} table - readPackage / readTsv の結果
+   * @param {Object} mapping - フィールド名 → 取り込み先（TARGET_FIELDS のキー）
+   * @param {Object} [options]
+   * @param {boolean} [options.withSrs] - 学習状況も取り込む
+   * @returns {Array} 単語データ（createWordEntry に渡せる形）
+   */
+  function toWords(table, mapping, { withSrs = true } = {}) {
+    return table.rows.map(row => {
+      const text = {};
+      table.fields.forEach(name => {
+        const target = mapping[name];
+        const value = row.values[name];
+        if (!target || !value) return;
+        const joiner = target === 'meaning' ? '；' : '\n';
+        text[target] = text[target] ? text[target] + joiner + value : value;
+      });
+      if (!text.word) return null;
+
+      const word = {
+        // 単語は1行目だけ（2行目以降は例文などが混ざっていることが多い）
+        word: text.word.split('\n')[0],
+        meaning: (text.meaning || '').replace(/\n/g, '；'),
+        phonetic: (text.phonetic || '').replace(/^\[|\]$/g, ''),
+        pos: text.pos || '',
+        examples: text.examples ? parseExamples(text.examples) : [],
+        memo: text.memo || '',
+        tags: row.tags,
+        suspended: row.suspended
+      };
+      if (withSrs) {
+        word.srs = row.tracks.recognition;
+        word.skills = row.tracks.recall ? { recall: row.tracks.recall } : undefined;
+      }
+      return word;
+    }).filter(Boolean);
+  }
+
+  // ===================================================
+  // 書き出し
+  // ===================================================
+
+  const SCHEMA = `
+    CREATE TABLE col (id integer primary key, crt integer not null, mod integer not null, scm integer not null,
+      ver integer not null, dty integer not null, usn integer not null, ls integer not null, conf text not null,
+      models text not null, decks text not null, dconf text not null, tags text not null);
+    CREATE TABLE notes (id integer primary key, guid text not null, mid integer not null, mod integer not null,
+      usn integer not null, tags text not null, flds text not null, sfld integer not null, csum integer not null,
+      flags integer not null, data text not null);
+    CREATE TABLE cards (id integer primary key, nid integer not null, did integer not null, ord integer not null,
+      mod integer not null, usn integer not null, type integer not null, queue integer not null, due integer not null,
+      ivl integer not null, factor integer not null, reps integer not null, lapses integer not null,
+      left integer not null, odue integer not null, odid integer not null, flags integer not null, data text not null);
+    CREATE TABLE revlog (id integer primary key, cid integer not null, usn integer not null, ease integer not null,
+      ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null, type integer not null);
+    CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null);
+    CREATE INDEX ix_notes_usn on notes (usn);
+    CREATE INDEX ix_cards_usn on cards (usn);
+    CREATE INDEX ix_revlog_usn on revlog (usn);
+    CREATE INDEX ix_cards_nid on cards (nid);
+    CREATE INDEX ix_cards_sched on cards (did, queue, due);
+    CREATE INDEX ix_revlog_cid on revlog (cid);
+    CREATE INDEX ix_notes_csum on notes (csum);
+  `;
+
+  const CARD_CSS = '.card { font-family: sans-serif; font-size: 22px; text-align: center; }';
+
+  function buildCollection(modelId, deckId, deckName, now) {
+    const mod = Math.floor(now / 1000);
+    const model = {
+      id: modelId,
+      name: 'VocabSnap',
+      type: 0,
+      mod,
+      usn: -1,
+      sortf: 0,
+      did: deckId,
+      flds: EXPORT_FIELDS.map(([name], ord) => ({ name, ord, sticky: false, rtl: false, font: 'Arial', size: 20, media: [] })),
+      tmpls: [
+        {
+          name: '英→日',
+          ord: 0,
+          qfmt: '{{Word}}<br><small>{{Phonetic}}</small>',
+          afmt: '{{FrontSide}}<hr id=answer>{{Meaning}}<br><small>{{POS}}</small><br>{{Examples}}',
+          did: null,
+          bqfmt: '',
+          bafmt: ''
+        },
+        {
+          name: '日→英',
+          ord: 1,
+          qfmt: '{{Meaning}}',
+          afmt: '{{FrontSide}}<hr id=answer>{{Word}}<br><small>{{Phonetic}}</small>',
+          did: null,
+          bqfmt: '',
+          bafmt: ''
+        }
+      ],
+      css: CARD_CSS,
+      latexPre: '',
+      latexPost: '',
+      latexsvg: false,
+      req: [[0, 'any', [0]], [1, 'any', [1]]],
+      tags: [],
+      vers: []
+    };
+    const deck = (id, name) => ({
+      id,
+      name,
+      desc: '',
+      mod,
+      usn: -1,
+      collapsed: false,
+      browserCollapsed: false,
+      newToday: [0, 0],
+      revToday: [0, 0],
+      lrnToday: [0, 0],
+      timeToday: [0, 0],
+      dyn: 0,
+      conf: 1,
+      extendNew: 0,
+      extendRev: 0
+    });
+    const dconf = {
+      id: 1,
+      name: 'Default',
+      mod: 0,
+      usn: 0,
+      dyn: false,
+      maxTaken: 60,
+      timer: 0,
+      autoplay: true,
+      replayq: true,
+      new: { delays: [1, 10], ints: [1, 4, 0], initialFactor: 2500, order: 1, perDay: 20, bury: false },
+      rev: { perDay: 200, ease4: 1.3, ivlFct: 1, maxIvl: 36500, bury: false, hardFactor: 1.2 },
+      lapse: { delays: [10], mult: 0, minInt: 1, leechFails: 8, leechAction: 1 }
+    };
+    const conf = {
+      nextPos: 1,
+      estTimes: true,
+      activeDecks: [1],
+      sortType: 'noteFld',
+      timeLim: 0,
+      sortBackwards: false,
+      addToCur: true,
+      curDeck: deckId,
+      newSpread: 0,
+      dueCounts: true,
+      curModel: modelId,
+      collapseTime: 1200
+    };
+    return {
+      models: { [modelId]: model },
+      decks: { 1: deck(1, 'Default'), [deckId]: deck(deckId, deckName) },
+      dconf: { 1: dconf },
+      conf
+    };
+  }
+
+  // 重複チェック用のチェックサム（先頭フィールドの SHA-1 の先頭 8 桁）
+  async function fieldChecksum(text) {
+    const digest = await crypto.subtle.digest('SHA-1', new TextEncoder().encode(text));
+    return new DataView(digest).getUint32(0);
+  }
+
+  function exportValues(word) {
+    return EXPORT_FIELDS.map(([, field]) => {
+      if (field === 'word') return word.wordDisplay || word.word;
+      if (field === 'examples') return formatExamples(word.examples);
+      return word[field] || '';
+    });
+  }
+
+  /**
+   * 単語を .apkg にする
+   * 1ノート = 英→日 と 日→英 の2枚のカード。認識・想起の学習状況をそれぞれのカードへ
+   * @param {Array} words
+   * @param {Object} [options]
+   * @param {string} [options.deckName]
+   * @returns {Promise<Blob>}
+   */
+  async function buildPackage(words, { deckName = 'VocabSnap' } = {}) {
+    const { JSZip, SQL } = await loadLibraries();
+    const now = Date.now();
+    const created = Math.floor(SRS.startOfDay(now) / 1000);
+    const modelId = now;
+    const deckId = now + 1;
+    const collection = buildCollection(modelId, deckId, deckName, now);
+
+    const db = new SQL.Database();
+    try {
+      db.run(SCHEMA);
+      db.run('INSERT INTO col VALUES (1, ?, ?, ?, 11, 0, 0, 0, ?, ?, ?, ?, ?)', [
+        created, now, now,
+        JSON.stringify(collection.conf), JSON.stringify(collection.models),
+        JSON.stringify(collection.decks), JSON.stringify(collection.dconf), '{}'
+      ]);
+
+      let nextId = now;
+      const mod = Math.floor(now / 1000);
+      for (const [position, word] of words.entries()) {
+        const values = exportValues(word);
+        const noteId = nextId++;
+        db.run('INSERT INTO notes VALUES (?, ?, ?, ?, -1, ?, ?, ?, ?, 0, \'\')', [
+          noteId,
+          word.id, // 同じ単語を書き出し直すと Anki 側で更新される
+          modelId,
+          mod,
+          ` ${formatTags(word.tags)} `,
+          values.map(textToHtml).join(FIELD_SEPARATOR),
+          values[0],
+          await fieldChecksum(values[0])
+        ]);
+
+        CARD_TRACKS.forEach((track, ord) => {
+          const card = srsToCard(SRS.getTrack(word, track), created, position + 1);
+          db.run('INSERT INTO cards VALUES (?, ?, ?, ?, ?, -1, ?, ?, ?, ?, ?, ?, ?, ?, 0, 0, 0, \'\')', [
+            nextId++, noteId, deckId, ord, mod,
+            card.type, word.suspended ? -1 : card.queue, card.due, card.ivl,
+            card.factor, card.reps, card.lapses, card.left
+          ]);
+        });
+      }
+
+      const zip = new JSZip();
+      zip.file('collection.anki2', db.export());
+      zip.file('media', '{}');
+      return await zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+    } finally {
+      db.close();
+    }
+  }
+
+  function quoteField(value, separator) {
+    return /["\n\r]/.test(value) || value.includes(separator) ? `"${value.replace(/"/g, '""')}"` : value;
+  }
+
+  /**
+   * 単語を Anki の「テキストファイルから読み込む」形式にする（学習状況は含まない）
+   * @param {Array} words
+   * @returns {string}
+   */
+  function buildTsv(words) {
+    const columns = [...EXPORT_FIELDS.map(([name]) => name), 'Tags'];
+    const lines = [
+      '#separator:tab',
+      '#html:true',
+      `#columns:${columns.join('\t')}`,
+      `#tags column:${columns.length}`
+    ];
+    words.forEach(word => {
+      const values = [...exportValues(word).map(textToHtml), formatTags(word.tags)];
+      lines.push(values.map(v => quoteField(v, '\t')).join('\t'));
+    });
+    return lines.join('\n') + '\n';
+  }
+
+  return {
+    TARGET_FIELDS,
+    EXPORT_FIELDS,
+    readPackage,
+    readTsv,
+    guessMapping,
+    toWords,
+    buildPackage,
+    buildTsv
+  };
+})();
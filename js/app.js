@@ -24,8 +24,20 @@ const App = (function () {
     studyFilter: 'all',
     wordlistFilter: 'all',
     wordlistTagFilter: '__all__',
+    wordlistVisibleIds: [],
     currentWordId: null,
     lastStudyMode: null,
+    studyTrack: 'recognition',
+    forecastDays: 30,
+    cardShownAt: 0,
+    // 回答の取り消し（セッション内の回答を新しい順に積む）
+    undoStack: [],
+    advanceTimer: null,
+    modalOnClose: null,
+    // 回答を受け付けてから次のカードを出すまで true（キーリピート・ダブルタップの二重回答を防ぐ）
+    answering: false,
+    lastStudyLogId: null,
+    motionPermissionAsked: false,
     rawOcrText: '',
     rotationDeg: 0,
 
@@ -64,7 +76,23 @@ const App = (function () {
     // 設定
     darkMode: false,
     autoSpeak: false,
-    dailyGoal: 20
+    dailyGoal: 20,
+    newPerDay: 20,
+    reviewsPerDay: 200,
+    srsAlgorithm: 'sm2',
+    learningSteps: [1, 10],
+    relearningSteps: [10],
+    leechThreshold: 8,
+    leechAction: 'tag',
+    intervalFuzz: true,
+    loadBalance: true,
+    desiredRetention: 0.9,
+    examDates: {}, // タグ名 → { date: 'YYYY-MM-DD', minReviews }
+    trashRetentionDays: 30,
+    cramTag: null,
+    fsrsWeights: null, // 最適化で当てはめた重み（null は既定値）
+    optimizerWorker: null,
+    deckPresets: {} // タグ名 → { newPerDay, learningSteps, maxInterval, startingEase, desiredRetention }
   };
 
   // --- XSSエスケープ【セキュリティ視点】 ---
@@ -78,12 +106,21 @@ const App = (function () {
   // --- 初期化 ---
   async function init() {
     try {
-      await VocabDB.init();
+      await VocabDB.init({
+        onBlocked: () => {
+          document.getElementById('splash-screen').querySelector('.splash-text').textContent =
+            'ほかのタブでVocabSnapが開いています。閉じるとデータの更新を始めます';
+        },
+        onVersionChange: showReloadNotice
+      });
       await loadSettings();
+      await purgeExpiredExams();
+      await VocabDB.purgeExpiredTrash(state.trashRetentionDays);
       setupEventListeners();
       await refreshHome();
       await checkUrlImport();
       registerServiceWorker();
+      VocabDB.takeDailySnapshot().catch(e => console.error('スナップショットの作成に失敗:', e));
 
       // スプラッシュ非表示
       setTimeout(() => {
@@ -92,9 +129,35 @@ const App = (function () {
     } catch (e) {
       console.error('初期化エラー:', e);
       document.getElementById('splash-screen').querySelector('.splash-text').textContent = 'エラーが発生しました';
+      await offerMigrationBackup();
     }
   }
 
+  /**
+   * 別のタブで新しいバージョンが開かれ、このタブのデータベース接続が閉じられたとき
+   */
+  function showReloadNotice() {
+    showModal('アプリが更新されました', `
+      <p class="mb-8" style="color:var(--text-secondary);">
+        別のタブで新しいバージョンのVocabSnapが開かれました。続けるにはページを再読み込みしてください。
+      </p>
+      <button class="btn btn-primary btn-block" onclick="location.reload()">再読み込み</button>
+    `);
+  }
+
+  /**
+   * データ更新（スキーマ移行）に失敗したとき、更新前のバックアップを保存できるようにする
+   */
+  async function offerMigrationBackup() {
+    const backups = await VocabDB.getMigrationBackups().catch(() => []);
+    if (backups.length === 0) return;
+    const button = document.createElement('button');
+    button.className = 'btn btn-outline mt-16';
+    button.textContent = '更新前のデータを保存';
+    button.addEventListener('click', () => downloadMigrationBackup(backups[0]));
+    document.getElementById('splash-screen').appendChild(button);
+  }
+
   // --- Service Worker 登録 ---
   function registerServiceWorker() {
     if ('serviceWorker' in navigator) {
@@ -115,6 +178,33 @@ const App = (function () {
     state.darkMode = await VocabDB.getSetting('darkMode', false);
     state.autoSpeak = await VocabDB.getSetting('autoSpeak', false);
     state.dailyGoal = await VocabDB.getSetting('dailyGoal', 20);
+    state.newPerDay = await VocabDB.getSetting('newPerDay', 20);
+    state.reviewsPerDay = await VocabDB.getSetting('reviewsPerDay', 200);
+    state.leechThreshold = await VocabDB.getSetting('leechThreshold', 8);
+    state.leechAction = await VocabDB.getSetting('leechAction', 'tag');
+    state.srsAlgorithm = await VocabDB.getSetting('srsAlgorithm', 'sm2');
+    state.learningSteps = await VocabDB.getSetting('learningSteps', [1, 10]);
+    state.relearningSteps = await VocabDB.getSetting('relearningSteps', [10]);
+    state.deckPresets = await VocabDB.getSetting('deckPresets', {});
+    state.intervalFuzz = await VocabDB.getSetting('intervalFuzz', true);
+    state.loadBalance = await VocabDB.getSetting('loadBalance', true);
+    state.fsrsWeights = await VocabDB.getSetting('fsrsWeights', null);
+    state.desiredRetention = await VocabDB.getSetting('desiredRetention', 0.9);
+    state.examDates = await VocabDB.getSetting('examDates', {});
+    state.trashRetentionDays = await VocabDB.getSetting('trashRetentionDays', 30);
+    state.snapshotKeep = await VocabDB.getSetting('snapshotKeep', VocabDB.DEFAULT_SNAPSHOT_KEEP);
+    SRS.configure({
+      desiredRetention: state.desiredRetention,
+      weights: state.fsrsWeights,
+      fuzz: state.intervalFuzz,
+      loadBalance: state.loadBalance,
+      algorithm: state.srsAlgorithm,
+      learningSteps: state.learningSteps,
+      relearningSteps: state.relearningSteps,
+      leechThreshold: state.leechThreshold,
+      leechAction: state.leechAction,
+      presets: state.deckPresets
+    });
 
     if (state.darkMode) {
       document.documentElement.setAttribute('data-theme', 'dark');
@@ -124,6 +214,17 @@ const App = (function () {
       document.getElementById('toggle-auto-speak').classList.add('active');
     }
     document.getElementById('daily-goal-value').textContent = state.dailyGoal;
+    document.getElementById('daily-limits-value').textContent = formatDailyLimits();
+    document.getElementById('srs-algorithm-value').textContent = algorithmLabel(state.srsAlgorithm);
+    document.getElementById('learning-steps-value').textContent = formatSteps(state.learningSteps);
+    document.getElementById('leech-value').textContent = formatLeechSetting();
+    document.getElementById('deck-presets-value').textContent = formatDeckPresets();
+    document.getElementById('load-balance-value').textContent = formatLoadBalance(state.intervalFuzz, state.loadBalance);
+    document.getElementById('snapshot-keep-value').textContent = `${state.snapshotKeep}件`;
+    document.getElementById('optimizer-value').textContent = state.fsrsWeights ? '最適化済み' : '既定';
+    document.getElementById('retention-value').textContent = formatRetention(state.desiredRetention);
+    document.getElementById('exam-dates-value').textContent = formatExamDates();
+    document.getElementById('trash-retention-value').textContent = `${state.trashRetentionDays}日`;
   }
 
   // --- 画面遷移 ---
@@ -172,6 +273,12 @@ const App = (function () {
       case 'wordlist':
         await refreshWordlist();
         break;
+      case 'trash':
+        await refreshTrash();
+        break;
+      case 'snapshots':
+        await refreshSnapshots();
+        break;
     }
   }
 
@@ -180,24 +287,24 @@ const App = (function () {
   // ===================================================
   async function refreshHome() {
     try {
-      const [totalCount, dueWords, streak, mastered, weakWords, allWords] = await Promise.all([
-        VocabDB.getWordCount(),
-        VocabDB.getDueWords(),
-        VocabDB.getStreak(),
-        VocabDB.getMasteredWords(),
-        VocabDB.getWeakWords(5),
-        VocabDB.getAllWords()
+      const [stats, today, streak] = await Promise.all([
+        VocabDB.getHomeStats({ weakLimit: 5, recentLimit: 5 }),
+        getTodayQueues(),
+        VocabDB.getStreak()
       ]);
 
-      document.getElementById('stat-total').textContent = totalCount;
-      document.getElementById('stat-due').textContent = dueWords.length;
+      document.getElementById('stat-total').textContent = stats.total;
+      document.getElementById('stat-due').textContent = today.total;
       document.getElementById('stat-streak').textContent = streak;
-      document.getElementById('stat-mastered').textContent = mastered.length;
+      document.getElementById('stat-mastered').textContent = stats.mastered;
+
+      // 今日の目標
+      renderDailyGoal(today.progress);
 
       // ナビバッジ
       const badge = document.getElementById('nav-badge-study');
-      if (dueWords.length > 0) {
-        badge.textContent = dueWords.length;
+      if (today.total > 0) {
+        badge.textContent = today.total;
         badge.classList.remove('hidden');
       } else {
         badge.classList.add('hidden');
@@ -206,22 +313,21 @@ const App = (function () {
       // 最近の単語
       const recentContainer = document.getElementById('recent-words');
       const emptyRecent = document.getElementById('empty-recent');
-      if (allWords.length === 0) {
+      if (stats.total === 0) {
         emptyRecent.classList.remove('hidden');
         recentContainer.innerHTML = '';
         recentContainer.appendChild(emptyRecent);
       } else {
         emptyRecent.classList.add('hidden');
-        const recent = allWords.sort((a, b) => b.createdAt - a.createdAt).slice(0, 5);
-        recentContainer.innerHTML = recent.map(w => wordCardHTML(w)).join('');
+        recentContainer.innerHTML = stats.recent.map(w => wordCardHTML(w)).join('');
       }
 
       // 苦手な単語
       const weakContainer = document.getElementById('weak-words');
       const weakSection = document.getElementById('section-weak');
-      if (weakWords.length > 0) {
+      if (stats.weak.length > 0) {
         weakSection.classList.remove('hidden');
-        weakContainer.innerHTML = weakWords.map(w => wordCardHTML(w)).join('');
+        weakContainer.innerHTML = stats.weak.map(w => wordCardHTML(w)).join('');
       } else {
         weakSection.classList.add('hidden');
       }
@@ -230,6 +336,15 @@ const App = (function () {
     }
   }
 
+  function renderDailyGoal(progress) {
+    const percent = Math.min(100, Math.round(progress.studied / state.dailyGoal * 100));
+    document.getElementById('goal-progress-count').textContent = progress.studied;
+    document.getElementById('goal-progress-target').textContent = state.dailyGoal;
+    document.getElementById('goal-progress-fill').style.width = percent + '%';
+    document.getElementById('goal-progress-detail').textContent =
+      `新規 ${progress.newCards} / ${state.newPerDay}・復習 ${progress.reviews} / ${state.reviewsPerDay}`;
+  }
+
   function wordCardHTML(word) {
     const levelColor = SRS.getLevelColor(word);
     const levelLabel = SRS.getLevelLabel(word);
@@ -237,10 +352,10 @@ const App = (function () {
       ? `<div class="word-tags">${word.tags.map(t => `<span class="word-tag-chip">${esc(t)}</span>`).join('')}</div>`
       : '';
     return `
-      <div class="word-card" data-word-id="${esc(word.id)}">
+      <div class="word-card ${word.suspended ? 'suspended' : ''}" data-word-id="${esc(word.id)}">
         <div class="word-level" style="background:${levelColor}"></div>
         <div class="word-info">
-          <div class="word-text">${esc(word.wordDisplay || word.word)}</div>
+          <div class="word-text">${word.suspended ? '⏸ ' : ''}${esc(word.wordDisplay || word.word)}</div>
           <div class="word-meaning">${esc(word.meaning)}</div>
           ${tagsHtml}
         </div>
@@ -469,8 +584,15 @@ const App = (function () {
     }
 
     try {
-      await VocabDB.addWords(words);
-      showToast(`${words.length}個の単語を保存しました`);
+      const resolved = await resolveDuplicates(words, 'ocr');
+      if (!resolved) return; // 重複の確認を閉じた
+      const { toAdd, merged, skipped } = resolved;
+      if (toAdd.length > 0) await VocabDB.addWords(toAdd, 'ocr');
+      const parts = [];
+      if (toAdd.length > 0) parts.push(`${toAdd.length}個の単語を保存しました`);
+      if (merged > 0) parts.push(`${merged}個を登録済みの単語に統合しました`);
+      if (skipped > 0) parts.push(`${skipped}個は追加しませんでした`);
+      showToast(parts.join('。'));
       state.parsedWords = [];
       state.selectedImage = null;
       state.rawOcrText = '';
@@ -517,7 +639,7 @@ const App = (function () {
     const tagsText = document.getElementById('manual-tags').value.trim();
 
     try {
-      await VocabDB.addWord({
+      const resolved = await resolveDuplicates([{
         word,
         meaning,
         phonetic: document.getElementById('manual-phonetic').value.trim(),
@@ -525,9 +647,13 @@ const App = (function () {
         examples: exampleEn ? [{ en: exampleEn, ja: exampleJa }] : [],
         synonyms: synonymsText ? synonymsText.split(/[,、]/).map(s => s.trim()).filter(s => s) : [],
         tags: tagsText ? tagsText.split(/[,、]/).map(s => s.trim()).filter(s => s) : []
-      });
+      }], 'manual');
+      if (!resolved) return; // 重複の確認を閉じた
+      const { toAdd, merged } = resolved;
+      if (toAdd.length > 0) await VocabDB.addWord(toAdd[0]);
 
-      showToast('単語を追加しました');
+      if (toAdd.length > 0) showToast('単語を追加しました');
+      else showToast(merged > 0 ? '登録済みの単語に統合しました' : '単語は追加しませんでした');
       e.target.reset();
       goBack();
     } catch (e2) {
@@ -536,35 +662,503 @@ const App = (function () {
     }
   }
 
+  // ===================================================
+  // 重複の検出と統合
+  // ===================================================
+  const MERGE_FIELDS = {
+    meaning: '意味',
+    pos: '品詞',
+    phonetic: '発音記号',
+    examples: '例文',
+    synonyms: '類義語',
+    tags: 'タグ',
+    memo: 'メモ'
+  };
+
+  /**
+   * 単語を横に並べて比べる表（最後の列に統合後の内容）
+   * @param {Array<{ label, word }>} columns
+   */
+  function mergeCompareHTML(columns) {
+    return `
+      <div class="merge-compare">
+        <table>
+          <thead>
+            <tr><th></th>${columns.map(c => `<th>${esc(c.label)}</th>`).join('')}</tr>
+          </thead>
+          <tbody>
+            ${Object.entries(MERGE_FIELDS).map(([field, label]) => `
+              <tr>
+                <th>${label}</th>
+                ${columns.map(c => `<td>${esc(formatRevisionValue(field, c.word[field]))}</td>`).join('')}
+              </tr>
+            `).join('')}
+            <tr>
+              <th>学習</th>
+              ${columns.map(c => `<td>${SRS.getLevelLabel(c.word)}・${nextReviewLabel(SRS.getTrack(c.word))}</td>`).join('')}
+            </tr>
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  /**
+   * 保存する単語のうち、登録済みの単語と綴りが重なるものをどうするか確認する
+   * 同じ写真に同じ単語が2回写っている場合は先にまとめる
+   * @param {Array} words - 保存する単語データ
+   * @param {string} source - 'ocr' | 'manual'（統合したときの編集履歴に記録）
+   * @returns {Promise<{ toAdd: Array, merged: number, skipped: number }|null>}
+   *   toAdd: 新しく追加する単語 / merged: 統合した数（同じ写真の中でまとめた分を含む）/ skipped: 追加しない数
+   *   確認のモーダルを閉じたときは null（何も保存しない）
+   */
+  async function resolveDuplicates(words, source) {
+    const bySpelling = new Map();
+    words.forEach(w => {
+      const key = w.word.trim().toLowerCase();
+      bySpelling.set(key, [...(bySpelling.get(key) || []), w]);
+    });
+    const batch = [...bySpelling.values()].map(group => (group.length > 1 ? VocabDB.mergeWordData(group) : group[0]));
+
+    const existing = await VocabDB.findExistingWords(batch.map(w => w.word));
+    const conflicts = batch.filter(w => existing.has(w.word.trim().toLowerCase()));
+    const mergedInBatch = words.length - batch.length;
+    if (conflicts.length === 0) return { toAdd: batch, merged: mergedInBatch, skipped: 0 };
+
+    return new Promise(resolve => {
+      showModal('登録済みの単語があります', `
+        <p class="text-secondary mb-8" style="font-size:13px;">
+          統合すると、意味・例文・類義語・タグを登録済みの単語に追加します（学習状況はそのまま）。
+        </p>
+        ${conflicts.map((w, i) => {
+          const current = existing.get(w.word.trim().toLowerCase());
+          return `
+            <div class="merge-group">
+              <div class="merge-group-title">${esc(w.word)}</div>
+              ${mergeCompareHTML([
+                { label: '登録済み', word: current },
+                { label: '今回', word: w },
+                { label: '統合後', word: VocabDB.mergeWordData([current, w]) }
+              ])}
+              <div class="filter-chips">
+                <button class="chip active" data-duplicate-choice="${i}" data-choice="merge">統合する</button>
+                <button class="chip" data-duplicate-choice="${i}" data-choice="add">別の単語として追加</button>
+                <button class="chip" data-duplicate-choice="${i}" data-choice="skip">追加しない</button>
+              </div>
+            </div>
+          `;
+        }).join('')}
+        <button class="btn btn-primary btn-block" id="btn-resolve-duplicates">保存</button>
+      `, () => resolve(null));
+
+      const choices = conflicts.map(() => 'merge');
+      document.querySelectorAll('[data-duplicate-choice]').forEach(chip => {
+        chip.addEventListener('click', () => {
+          const i = Number(chip.dataset.duplicateChoice);
+          choices[i] = chip.dataset.choice;
+          document.querySelectorAll(`[data-duplicate-choice="${i}"]`).forEach(c => c.classList.toggle('active', c === chip));
+        });
+      });
+
+      document.getElementById('btn-resolve-duplicates').addEventListener('click', async () => {
+        const merged = conflicts
+          .filter((w, i) => choices[i] === 'merge')
+          .map(w => VocabDB.mergeWordData([existing.get(w.word.trim().toLowerCase()), w]));
+        if (merged.length > 0) await VocabDB.updateWords(merged, source);
+        resolve({
+          toAdd: batch.filter(w => !conflicts.includes(w) || choices[conflicts.indexOf(w)] === 'add'),
+          merged: mergedInBatch + merged.length,
+          skipped: choices.filter(c => c === 'skip').length
+        });
+        hideModal(); // 先に resolve しているので、閉じたときの resolve(null) は無視される
+      });
+    });
+  }
+
+  /**
+   * 単語帳全体から綴りが同じ単語を探してまとめる
+   * 【ユーザー視点】同じページを2回撮影して増えた単語を、学習状況を失わずに1語にできる
+   */
+  async function showDuplicateScan() {
+    const groups = await VocabDB.findDuplicateGroups();
+    if (groups.length === 0) {
+      showModal('重複した単語', '<p class="text-secondary" style="font-size:13px;">重複した単語はありません。</p>');
+      return;
+    }
+
+    const merges = groups.map(group => VocabDB.mergeWordData(group));
+    showModal('重複した単語', `
+      <p class="text-secondary mb-8" style="font-size:13px;">
+        同じ綴りの単語が${groups.length}組あります。統合すると内容をまとめ、学習状況は最も進んでいるものを残します。
+        統合された単語はゴミ箱に移ります。
+      </p>
+      <button class="btn btn-primary btn-block mb-8" id="btn-merge-all">すべて統合（${groups.length}組）</button>
+      ${groups.map((group, i) => `
+        <div class="merge-group">
+          <div class="merge-group-title">${esc(group[0].wordDisplay || group[0].word)}（${group.length}語）</div>
+          ${mergeCompareHTML([
+            ...group.map((w, j) => ({ label: `${j + 1}`, word: w })),
+            { label: '統合後', word: merges[i] }
+          ])}
+          <button class="btn btn-outline btn-sm btn-block" data-merge-group="${i}">統合する</button>
+        </div>
+      `).join('')}
+    `);
+
+    const merge = async (indexes) => {
+      for (const i of indexes) {
+        await VocabDB.mergeDuplicates(merges[i], groups[i].filter(w => w.id !== merges[i].id).map(w => w.id));
+      }
+      showToast(`${indexes.length}組の重複を統合しました`);
+      await showDuplicateScan();
+    };
+    document.getElementById('btn-merge-all').addEventListener('click', () => merge(groups.map((_, i) => i)));
+    document.querySelectorAll('[data-merge-group]').forEach(btn => {
+      btn.addEventListener('click', () => merge([Number(btn.dataset.mergeGroup)]));
+    });
+  }
+
+  // --- 統合して取り込み ---
+  const IMPORT_RULE_LABELS = {
+    newest: '新しい方',
+    mine: '自分の内容',
+    theirs: '取り込む内容',
+    union: '両方まとめる'
+  };
+
+  const IMPORT_RULE_FIELDS = { ...MERGE_FIELDS, antonyms: '対義語' };
+
+  // 品詞・発音記号は「まとめる」と意味をなさない
+  const importRuleChoices = field =>
+    Object.keys(IMPORT_RULE_LABELS).filter(rule => rule !== 'union' || (field !== 'pos' && field !== 'phonetic'));
+
+  function importWordList(list) {
+    const names = list.map(item => (item.theirs || item).word);
+    const shown = names.slice(0, 30).map(esc).join('、');
+    return names.length > 30 ? `${shown} ほか${names.length - 30}語` : shown;
+  }
+
+  /**
+   * 取り込む前に追加・更新・スキップ・競合の内訳を見せ、確認してから保存する
+   * 【ユーザー視点】フィールドごとのルールを変えると内訳がその場で変わる。学習状況は常に自分のものを残す
+   * @param {string} json - エクスポート形式のJSON
+   */
+  async function showImportReport(json) {
+    const rules = { ...VocabDB.DEFAULT_IMPORT_RULES, ...(await VocabDB.getSetting('importRules', {})) };
+    const choices = {};
+
+    const render = async () => {
+      const plan = await VocabDB.planImport(json, rules);
+      const duplicates = plan.skipped.filter(s => s.reason === 'duplicate');
+
+      showModal('取り込みの確認', `
+        <div class="import-summary">
+          <div><strong>${plan.added.length}</strong>追加</div>
+          <div><strong>${plan.updated.length}</strong>更新</div>
+          <div><strong>${plan.skipped.length}</strong>変更なし</div>
+          <div><strong>${plan.conflicts.length}</strong>競合</div>
+        </div>
+        ${plan.added.length ? `<p class="import-list"><span>追加：</span>${importWordList(plan.added)}</p>` : ''}
+        ${plan.updated.length ? `<p class="import-list"><span>更新：</span>${importWordList(plan.updated)}</p>` : ''}
+        ${duplicates.length ? `<p class="import-list"><span>ファイル内の重複：</span>${importWordList(duplicates)}</p>` : ''}
+
+        <div class="section-title mt-16">フィールドごとのルール</div>
+        <div class="import-rules">
+          ${Object.entries(IMPORT_RULE_FIELDS).map(([field, label]) => `
+            <label>
+              <span>${label}</span>
+              <select class="input-field" data-import-rule="${field}">
+                ${importRuleChoices(field).map(rule => `
+                  <option value="${rule}" ${rules[field] === rule ? 'selected' : ''}>${IMPORT_RULE_LABELS[rule]}</option>
+                `).join('')}
+              </select>
+            </label>
+          `).join('')}
+        </div>
+
+        ${plan.conflicts.length ? `
+          <div class="section-title mt-16">競合（${plan.conflicts.length}語）</div>
+          ${plan.conflicts.map(c => `
+            <div class="merge-group">
+              <div class="merge-group-title">${esc(c.mine.wordDisplay || c.mine.word)}</div>
+              ${mergeCompareHTML([
+                { label: '自分', word: c.mine },
+                { label: '取り込む側', word: c.theirs },
+                { label: 'ルールどおり', word: c.result }
+              ])}
+              <div class="filter-chips">
+                ${[['', 'ルールどおり'], ['mine', '自分の内容'], ['theirs', '取り込む内容']].map(([choice, label]) => `
+                  <button class="chip ${(choices[c.mine.id] || '') === choice ? 'active' : ''}"
+                    data-import-choice="${c.mine.id}" data-choice="${choice}">${label}</button>
+                `).join('')}
+              </div>
+            </div>
+          `).join('')}
+        ` : ''}
+
+        <button class="btn btn-primary btn-block mt-16" id="btn-import-commit"
+          ${plan.added.length + plan.updated.length + plan.conflicts.length === 0 ? 'disabled' : ''}>取り込む</button>
+        <button class="btn btn-outline btn-block mt-8" onclick="App.hideModal()">キャンセル</button>
+      `);
+
+      document.querySelectorAll('[data-import-rule]').forEach(select => {
+        select.addEventListener('change', async () => {
+          rules[select.dataset.importRule] = select.value;
+          await VocabDB.setSetting('importRules', rules);
+          await render();
+        });
+      });
+
+      document.querySelectorAll('[data-import-choice]').forEach(chip => {
+        chip.addEventListener('click', () => {
+          const id = chip.dataset.importChoice;
+          if (chip.dataset.choice) choices[id] = chip.dataset.choice;
+          else delete choices[id];
+          document.querySelectorAll(`[data-import-choice="${id}"]`).forEach(c => c.classList.toggle('active', c === chip));
+        });
+      });
+
+      document.getElementById('btn-import-commit').addEventListener('click', async () => {
+        try {
+          const result = await VocabDB.applyImport(plan, choices);
+          hideModal();
+          showToast(`${result.added}個の単語を追加、${result.updated}個を更新しました`);
+          await refreshHome();
+        } catch (e) {
+          showToast('インポートに失敗しました: ' + e.message);
+        }
+      });
+    };
+
+    try {
+      await render();
+    } catch (e) {
+      showToast('インポートに失敗しました: ' + e.message);
+    }
+  }
+
   // ===================================================
   // 学習モード
   // ===================================================
+  const TRACK_LABELS = {
+    recognition: '認識（英→日）',
+    recall: '想起（日→英）',
+    spelling: 'スペル'
+  };
+
+  /**
+   * 今日の出題キューをスキル別トラックごとに取得（1日の新規・復習上限はトラックごと）
+   * @returns {Promise<Object>} { tracks: { [track]: SRS.buildQueue の結果 }, total, capped, progress }
+   */
+  async function getTodayQueues() {
+    const todayReviews = await VocabDB.getReviews(SRS.startOfDay());
+    // 期限の来た単語は索引から取り、今日導入済みの単語（プリセットの新規上限の計算用）だけ追加で読む
+    const [dueByTrack, introduced] = await Promise.all([
+      Promise.all(SRS.TRACKS.map(track => VocabDB.getDueWords(track))),
+      VocabDB.getWordsByIds(SRS.summarizeDay(todayReviews).newWordIds)
+    ]);
+    // 未学習の単語は今日出題できる数だけ読み、残りがあるかは索引の件数で判定
+    const dones = SRS.TRACKS.map(track => SRS.summarizeDay(todayReviews, track));
+    const [unseenByTrack, unseenCounts] = await Promise.all([
+      Promise.all(SRS.TRACKS.map((track, i) => VocabDB.getNewWords(track, {
+        limit: Math.max(0, state.newPerDay - dones[i].newCards),
+        accept: SRS.newCardFilter(introduced, dones[i].newWordIds)
+      }))),
+      Promise.all(SRS.TRACKS.map(track => VocabDB.countNewWords(track)))
+    ]);
+    const tracks = {};
+    SRS.TRACKS.forEach((track, i) => {
+      const done = dones[i];
+      const words = new Map([...dueByTrack[i], ...unseenByTrack[i], ...introduced].map(w => [w.id, w]));
+      const queue = SRS.buildQueue([...words.values()], {
+        track,
+        newLimit: state.newPerDay,
+        reviewLimit: state.reviewsPerDay,
+        newDone: done.newCards,
+        reviewsDone: done.reviews,
+        newWordIds: done.newWordIds
+      });
+      tracks[track] = { ...queue, capped: queue.capped || queue.new < unseenCounts[i] };
+    });
+    const queues = Object.values(tracks);
+    return {
+      tracks,
+      total: queues.reduce((sum, q) => sum + q.queue.length, 0),
+      capped: queues.some(q => q.capped),
+      progress: SRS.summarizeDay(todayReviews)
+    };
+  }
+
   async function refreshStudy() {
-    const all = await VocabDB.getAllWords();
-    const due = SRS.getDueWords(all);
+    const [counts, today] = await Promise.all([VocabDB.getStudyCounts(), getTodayQueues()]);
+
+    document.getElementById('fc-count').textContent = counts.active;
+    document.getElementById('rc-count').textContent = counts.active;
+    document.getElementById('sp-count').textContent = counts.active;
+    document.getElementById('mt-count').textContent = Math.min(counts.active, 6);
+    document.getElementById('rv-count').textContent = today.total;
+    document.getElementById('rv-breakdown').textContent = SRS.TRACKS
+      .map(track => `${TRACK_LABELS[track]} ${today.tracks[track].queue.length}`)
+      .join(' ・ ');
+
+    // 試験対策（試験日が近いタグがあるときだけ表示。読み込むのはそのタグの単語だけ）
+    const exams = activeExams();
+    document.getElementById('cram-card').classList.toggle('hidden', exams.length === 0);
+    if (exams.length > 0) {
+      const tagged = await Promise.all(exams.map(([tag]) => VocabDB.getWordsByTags([tag])));
+      document.getElementById('cr-count').textContent = exams
+        .reduce((sum, [tag, exam], i) => sum + SRS.getCramWords(tagged[i], tag, exam).length, 0);
+      document.getElementById('cram-desc').textContent = exams.map(([tag, exam], i) => {
+        const progress = SRS.cramProgress(tagged[i], tag, exam);
+        return `${tag} あと${progress.daysLeft}日（${progress.done}/${progress.total}語達成）`;
+      }).join(' ・ ');
+    }
 
-    document.getElementById('fc-count').textContent = all.length;
-    document.getElementById('sp-count').textContent = all.length;
-    document.getElementById('mt-count').textContent = Math.min(all.length, 6);
-    document.getElementById('rv-count').textContent = due.length;
+    hideForecast();
 
     // 例文付きの単語数
-    const wordsWithExamples = all.filter(w => w.examples && w.examples.length > 0 && w.examples[0].en);
-    document.getElementById('rd-count').textContent = wordsWithExamples.length;
+    document.getElementById('rd-count').textContent = counts.readable;
 
     const emptyStudy = document.getElementById('empty-study');
-    if (all.length === 0) {
+    if (counts.total === 0) {
       emptyStudy.classList.remove('hidden');
     } else {
       emptyStudy.classList.add('hidden');
     }
   }
 
-  async function getStudyWords() {
+  /**
+   * 復習予測を開く / 閉じる
+   * 【パフォーマンス視点】シミュレーションは全カードを日数分進めるので、学習画面を開くたびではなく
+   * 予測を開いたとき・条件を変えたときだけ計算する（学習画面に戻ると閉じ、次に開いたとき最新の状態で計算し直す）
+   */
+  function showForecast() {
+    document.getElementById('btn-show-forecast').classList.add('hidden');
+    document.getElementById('forecast-body').classList.remove('hidden');
+    renderForecast();
+  }
+
+  function hideForecast() {
+    document.getElementById('btn-show-forecast').classList.remove('hidden');
+    document.getElementById('forecast-body').classList.add('hidden');
+    document.getElementById('forecast-chart').innerHTML = '';
+    document.getElementById('forecast-summary').textContent = '';
+  }
+
+  /**
+   * 今後の復習数・新規数のシミュレーションを描画
+   * 【ユーザー視点】写真から単語をまとめて追加する前に、毎日の負担がどう変わるか確認できる
+   */
+  async function renderForecast() {
+    const [all, todayReviews] = await Promise.all([
+      VocabDB.getAllWords(),
+      VocabDB.getReviews(SRS.startOfDay())
+    ]);
+    const extraNew = Math.min(999, Math.max(0, parseInt(document.getElementById('forecast-extra').value) || 0));
+    const newDone = {};
+    SRS.TRACKS.forEach(track => { newDone[track] = SRS.summarizeDay(todayReviews, track).newCards; });
+
+    const forecast = SRS.simulate(all, {
+      days: state.forecastDays,
+      passRate: parseFloat(document.getElementById('forecast-pass-rate').value),
+      newLimit: state.newPerDay,
+      reviewLimit: state.reviewsPerDay,
+      newDone,
+      extraNew
+    });
+
+    const totals = forecast.days.map(d => d.reviews + d.newCards);
+    const max = Math.max(1, ...totals);
+    const peak = totals.indexOf(Math.max(...totals));
+    const average = list => list.reduce((sum, n) => sum + n, 0) / list.length;
+    const formatDate = date => new Date(date).toLocaleDateString('ja-JP', { month: 'numeric', day: 'numeric' });
+
+    document.getElementById('forecast-chart').innerHTML = forecast.days.map(d => `
+      <div class="workload-bar" title="${formatDate(d.date)}: 復習${d.reviews}件・新規${d.newCards}件">
+        <div class="workload-added" style="height:${d.newCards / max * 100}%"></div>
+        <div class="workload-scheduled" style="height:${d.reviews / max * 100}%"></div>
+      </div>
+    `).join('');
+
+    const parts = [
+      `平均 ${average(totals).toFixed(1)}件/日（うち新規 ${average(forecast.days.map(d => d.newCards)).toFixed(1)}）`,
+      `最大 ${totals[peak]}件（${formatDate(forecast.days[peak].date)}）`,
+      `学習ステップ ${average(forecast.days.map(d => d.steps)).toFixed(1)}回/日`
+    ];
+    if (forecast.backlog > 0) parts.push(`上限を超えて積み残し ${forecast.backlog}件`);
+    document.getElementById('forecast-summary').textContent = parts.join(' ・ ');
+  }
+
+  /**
+   * 期限のあるトラックが複数あるとき、どれを復習するか選ぶ
+   */
+  function chooseReviewTrack(today) {
+    showModal('復習するスキル', `
+      <div class="study-modes">
+        ${SRS.TRACKS.filter(track => today.tracks[track].queue.length > 0).map(track => `
+          <div class="settings-item" data-review-track="${track}" style="cursor:pointer">
+            <span class="settings-label">${TRACK_LABELS[track]}</span>
+            <span class="settings-value">${today.tracks[track].queue.length}語</span>
+          </div>
+        `).join('')}
+      </div>
+      <p class="text-secondary mt-8" style="font-size:12px;">
+        💡 意味が分かる・英語で言える・正しく綴れる、はそれぞれ別の間隔で復習します。
+      </p>
+    `);
+
+    document.querySelectorAll('[data-review-track]').forEach(item => {
+      item.addEventListener('click', () => {
+        hideModal();
+        startStudyMode('review', item.dataset.reviewTrack);
+      });
+    });
+  }
+
+  // ===================================================
+  // 試験対策（詰め込み復習）
+  // ===================================================
+  function activeExams() {
+    return Object.entries(state.examDates).filter(([, exam]) => SRS.isExamActive(exam));
+  }
+
+  /**
+   * 今出題する単語がある試験範囲の一覧
+   * @param {string} [tag] - 指定時はそのタグのみ
+   */
+  async function getCramSessions(tag) {
+    const words = await VocabDB.getAllWords();
+    return activeExams()
+      .filter(([t]) => !tag || t === tag)
+      .map(([t, exam]) => ({ tag: t, exam, words: SRS.getCramWords(words, t, exam) }))
+      .filter(session => session.words.length > 0);
+  }
+
+  function chooseCramExam(sessions) {
+    showModal('試験対策', `
+      <div class="study-modes">
+        ${sessions.map(session => `
+          <div class="settings-item" data-cram-tag="${esc(session.tag)}" style="cursor:pointer">
+            <span class="settings-label">🏷️ ${esc(session.tag)}</span>
+            <span class="settings-value">${session.words.length}語</span>
+          </div>
+        `).join('')}
+      </div>
+    `);
+
+    document.querySelectorAll('[data-cram-tag]').forEach(item => {
+      item.addEventListener('click', () => {
+        hideModal();
+        startStudyMode('cram', item.dataset.cramTag);
+      });
+    });
+  }
+
+  async function getStudyWords(track) {
     let words = [];
     switch (state.studyFilter) {
       case 'new':
-        words = (await VocabDB.getAllWords()).filter(w => SRS.getLevel(w) === 'new');
+        words = await VocabDB.getNewWords(track);
         break;
       case 'bookmarked':
         words = await VocabDB.getBookmarkedWords();
@@ -575,21 +1169,47 @@ const App = (function () {
       default:
         words = await VocabDB.getAllWords();
     }
-    return shuffleArray(words);
+    // 一時停止中の単語はどのモードでも出題しない
+    return shuffleArray(words.filter(w => !w.suspended));
   }
 
-  async function startStudyMode(mode) {
+  /**
+   * @param {string} mode - 'flashcard' | 'recall' | 'spelling' | 'matching' | 'review' | 'reading' | 'cram'
+   * @param {string} [target] - review: 復習するトラック / cram: 試験日を設定したタグ（省略時は該当が1つなら自動、複数なら選択）
+   */
+  async function startStudyMode(mode, target) {
     let words;
+    let track;
 
     if (mode === 'review') {
-      words = await VocabDB.getDueWords();
-      if (words.length === 0) {
-        showToast('今日の復習はありません！');
+      const today = await getTodayQueues();
+      const dueTracks = target ? [target] : SRS.TRACKS.filter(t => today.tracks[t].queue.length > 0);
+      if (dueTracks.length === 0) {
+        showToast(today.capped ? '今日の上限に達しました' : '今日の復習はありません！');
+        return;
+      }
+      if (dueTracks.length > 1) {
+        chooseReviewTrack(today);
+        return;
+      }
+      track = dueTracks[0];
+      words = today.tracks[track].queue;
+    } else if (mode === 'cram') {
+      const sessions = await getCramSessions(target);
+      if (sessions.length === 0) {
+        showToast('今出題する試験範囲の単語はありません');
+        return;
+      }
+      if (sessions.length > 1) {
+        chooseCramExam(sessions);
         return;
       }
-      words = shuffleArray(words);
+      state.cramTag = sessions[0].tag;
+      track = 'recognition';
+      words = sessions[0].words;
     } else {
-      words = await getStudyWords();
+      track = SRS.trackForMode(mode);
+      words = await getStudyWords(track);
     }
 
     if (words.length === 0) {
@@ -599,12 +1219,20 @@ const App = (function () {
 
     state.studyWords = words;
     state.lastStudyMode = mode;
+    state.studyTrack = track;
+    SRS.setWorkload(await VocabDB.getReviewLoad());
+    requestMotionPermission();
 
     switch (mode) {
       case 'flashcard':
-      case 'review':
+      case 'recall':
+      case 'cram':
         startFlashcard();
         break;
+      case 'review':
+        if (track === 'spelling') startSpelling();
+        else startFlashcard();
+        break;
       case 'spelling':
         startSpelling();
         break;
@@ -621,6 +1249,7 @@ const App = (function () {
   // フラッシュカード
   // ===================================================
   function startFlashcard() {
+    resetUndo();
     state.fcIndex = 0;
     state.fcFlipped = false;
     state.fcCorrect = 0;
@@ -632,6 +1261,7 @@ const App = (function () {
   }
 
   function showFlashcard() {
+    state.answering = false;
     if (state.fcIndex >= state.studyWords.length) {
       finishStudy('flashcard', state.fcCorrect, state.fcIncorrect);
       return;
@@ -642,10 +1272,16 @@ const App = (function () {
     inner.classList.remove('flipped');
     state.fcFlipped = false;
 
-    document.getElementById('fc-word').textContent = word.wordDisplay || word.word;
-    document.getElementById('fc-phonetic').textContent = word.phonetic ? `[${word.phonetic}]` : '';
+    // 想起トラックは表に意味、裏に英単語（日→英）
+    const recall = state.studyTrack === 'recall';
+    document.getElementById('flashcard').classList.toggle('recall', recall);
+    document.querySelector('#screen-flashcard h2').textContent = recall ? '想起（日→英）' : 'フラッシュカード';
+    document.getElementById('fc-word').textContent = recall ? word.meaning : (word.wordDisplay || word.word);
+    document.getElementById('fc-phonetic').textContent = !recall && word.phonetic ? `[${word.phonetic}]` : '';
     document.getElementById('fc-pos').textContent = word.pos || '';
-    document.getElementById('fc-meaning').textContent = word.meaning;
+    document.getElementById('fc-meaning').textContent = recall
+      ? `${word.wordDisplay || word.word}${word.phonetic ? ` [${word.phonetic}]` : ''}`
+      : word.meaning;
 
     // 例文
     const exEl = document.getElementById('fc-examples');
@@ -669,42 +1305,66 @@ const App = (function () {
     document.getElementById('fc-progress-text').textContent =
       `${state.fcIndex + 1} / ${state.studyWords.length}`;
 
-    // 【UX視点】自動発音
-    if (state.autoSpeak) {
+    // 【UX視点】自動発音（想起では答えになるので裏返すまで読まない）
+    if (state.autoSpeak && !recall) {
       speak(word.word);
     }
 
+    // 評価ボタンに次回間隔を表示
+    updateGradeIntervals('fc', word);
+    state.cardShownAt = Date.now();
+
     // カードリセットアニメーション
     const card = document.getElementById('flashcard');
-    card.classList.remove('swiping-right', 'swiping-left');
+    card.classList.remove(...SWIPE_CLASSES);
   }
 
   function flipFlashcard() {
     const inner = document.getElementById('flashcard-inner');
     state.fcFlipped = !state.fcFlipped;
     inner.classList.toggle('flipped');
+
+    if (state.fcFlipped && state.studyTrack === 'recall' && state.autoSpeak) {
+      const word = state.studyWords[state.fcIndex];
+      if (word) speak(word.word);
+    }
   }
 
-  async function answerFlashcard(correct) {
+  /**
+   * @param {string} grade - 'again' | 'hard' | 'good' | 'easy'
+   */
+  async function answerFlashcard(grade) {
     const word = state.studyWords[state.fcIndex];
+    if (!word || state.answering) return;
+    state.answering = true;
     const card = document.getElementById('flashcard');
 
+    const checkpoint = createCheckpoint(word);
+
     // スワイプアニメーション
-    card.classList.add(correct ? 'swiping-right' : 'swiping-left');
+    card.classList.add(GRADE_SWIPE_CLASS[grade]);
 
-    if (correct) {
+    if (grade !== 'again') {
       state.fcCorrect++;
       word.stats.flashcardCorrect++;
-      word.srs = SRS.calculate(4, word.srs.repetitions, word.srs.easeFactor, word.srs.interval);
     } else {
       state.fcIncorrect++;
       word.stats.flashcardIncorrect++;
-      word.srs = SRS.calculate(1, word.srs.repetitions, word.srs.easeFactor, word.srs.interval);
     }
+    if (state.lastStudyMode === 'cram') applyCram(word, SRS.GRADES[grade]);
+    else applyReview(word, SRS.GRADES[grade]);
 
-    await VocabDB.updateWord(word);
+    try {
+      await recordAnswer(word, state.lastStudyMode, SRS.GRADES[grade], checkpoint);
+    } catch (e) {
+      rollbackAnswer(word, checkpoint, e);
+      card.classList.remove(GRADE_SWIPE_CLASS[grade]);
+      state.answering = false;
+      return;
+    }
+    requeueIfLearning(word, SRS.GRADES[grade]);
 
-    setTimeout(() => {
+    state.advanceTimer = setTimeout(() => {
       state.fcIndex++;
       showFlashcard();
     }, 300);
@@ -714,6 +1374,7 @@ const App = (function () {
   // スペル入力
   // ===================================================
   function startSpelling() {
+    resetUndo();
     state.spIndex = 0;
     state.spHintLevel = 0;
     state.spCorrect = 0;
@@ -745,6 +1406,7 @@ const App = (function () {
     input.className = 'spelling-input';
     input.disabled = false;
     input.focus();
+    state.cardShownAt = Date.now();
 
     document.getElementById('btn-sp-submit').classList.remove('hidden');
     document.getElementById('btn-sp-hint').classList.remove('hidden');
@@ -785,25 +1447,36 @@ const App = (function () {
       return;
     }
 
+    const checkpoint = createCheckpoint(word);
     state.spAnswered = true;
     const correct = answer === word.word.toLowerCase();
 
     input.classList.add(correct ? 'correct' : 'incorrect');
     input.disabled = true;
 
+    const quality = correct ? 5 : 1;
+
     if (correct) {
       state.spCorrect++;
       word.stats.spellingCorrect++;
-      word.srs = SRS.calculate(correct ? 5 : 1, word.srs.repetitions, word.srs.easeFactor, word.srs.interval);
       speak(word.word);
     } else {
       state.spIncorrect++;
       word.stats.spellingIncorrect++;
-      word.srs = SRS.calculate(1, word.srs.repetitions, word.srs.easeFactor, word.srs.interval);
       document.getElementById('sp-correct-answer').textContent = `正解: ${word.word}`;
     }
+    applyReview(word, quality);
 
-    await VocabDB.updateWord(word);
+    try {
+      await recordAnswer(word, 'spelling', quality, checkpoint);
+    } catch (e) {
+      rollbackAnswer(word, checkpoint, e);
+      state.spAnswered = false;
+      input.classList.remove('correct', 'incorrect');
+      input.disabled = false;
+      document.getElementById('sp-correct-answer').textContent = '';
+      return;
+    }
 
     document.getElementById('btn-sp-submit').classList.add('hidden');
     document.getElementById('btn-sp-hint').classList.add('hidden');
@@ -811,7 +1484,7 @@ const App = (function () {
 
     // 【ユーザー視点】正解時は自動で次へ
     if (correct) {
-      setTimeout(() => {
+      state.advanceTimer = setTimeout(() => {
         state.spIndex++;
         showSpellingQuestion();
       }, 1200);
@@ -819,6 +1492,7 @@ const App = (function () {
   }
 
   function nextSpelling() {
+    clearTimeout(state.advanceTimer);
     state.spIndex++;
     showSpellingQuestion();
   }
@@ -841,6 +1515,7 @@ const App = (function () {
       tiles.push({ id: w.id + '-m', type: 'meaning', text: w.meaning, pairId: w.id });
     });
 
+    resetUndo();
     state.mtTiles = shuffleArray(tiles);
     state.mtSelected = null;
     state.mtMatched = 0;
@@ -848,6 +1523,7 @@ const App = (function () {
     state.mtAttempts = 0;
     state.mtSeconds = 0;
     state.mtStartTime = Date.now();
+    state.cardShownAt = Date.now();
 
     navigate('matching');
     renderMatchingGrid();
@@ -894,6 +1570,8 @@ const App = (function () {
       state.mtSelected = null;
     } else {
       // 2枚目選択
+      const word = state.studyWords.find(w => w.id === tile.pairId);
+      const checkpoint = word ? createCheckpoint(word) : null;
       state.mtAttempts++;
       document.getElementById('mt-attempts').textContent = state.mtAttempts;
 
@@ -908,15 +1586,21 @@ const App = (function () {
         document.getElementById('mt-matches').textContent = state.mtMatched;
 
         // SRS更新
-        const word = state.studyWords.find(w => w.id === tile.pairId);
         if (word) {
+          checkpoint.pairId = tile.pairId;
           word.stats.matchingCorrect++;
-          await VocabDB.updateWord(word);
+          try {
+            await recordAnswer(word, 'matching', 4, checkpoint);
+          } catch (e) {
+            rollbackAnswer(word, checkpoint, e);
+            restoreMatching(checkpoint);
+            return;
+          }
         }
 
         if (state.mtMatched === state.mtTotal) {
           clearInterval(state.mtTimer);
-          setTimeout(() => {
+          state.advanceTimer = setTimeout(() => {
             finishStudy('matching', state.mtMatched, state.mtAttempts - state.mtMatched);
           }, 500);
         }
@@ -927,10 +1611,15 @@ const App = (function () {
         first.el.classList.add('wrong');
 
         // SRS更新（不正解）
-        const word = state.studyWords.find(w => w.id === tile.pairId);
         if (word) {
           word.stats.matchingIncorrect++;
-          await VocabDB.updateWord(word);
+          try {
+            await recordAnswer(word, 'matching', 1, checkpoint);
+          } catch (e) {
+            rollbackAnswer(word, checkpoint, e);
+            restoreMatching(checkpoint);
+            return;
+          }
         }
 
         setTimeout(() => {
@@ -956,6 +1645,7 @@ const App = (function () {
       return;
     }
 
+    resetUndo();
     state.studyWords = shuffleArray(words);
     state.rdIndex = 0;
     state.rdFlipped = false;
@@ -968,6 +1658,7 @@ const App = (function () {
   }
 
   function showReadingCard() {
+    state.answering = false;
     if (state.rdIndex >= state.studyWords.length) {
       finishStudy('reading', state.rdCorrect, state.rdIncorrect);
       return;
@@ -1001,9 +1692,13 @@ const App = (function () {
       speak(exampleEn);
     }
 
+    // 評価ボタンに次回間隔を表示
+    updateGradeIntervals('rd', word);
+    state.cardShownAt = Date.now();
+
     // カードリセット
     const card = document.getElementById('reading-card');
-    card.classList.remove('swiping-right', 'swiping-left');
+    card.classList.remove(...SWIPE_CLASSES);
   }
 
   function flipReadingCard() {
@@ -1012,77 +1707,339 @@ const App = (function () {
     inner.classList.toggle('flipped');
   }
 
-  async function answerReading(correct) {
+  /**
+   * @param {string} grade - 'again' | 'hard' | 'good' | 'easy'
+   */
+  async function answerReading(grade) {
     const word = state.studyWords[state.rdIndex];
+    if (!word || state.answering) return;
+    state.answering = true;
     const card = document.getElementById('reading-card');
 
+    const checkpoint = createCheckpoint(word);
+
     // スワイプアニメーション
-    card.classList.add(correct ? 'swiping-right' : 'swiping-left');
+    card.classList.add(GRADE_SWIPE_CLASS[grade]);
 
-    if (correct) {
+    if (grade !== 'again') {
       state.rdCorrect++;
       word.stats.flashcardCorrect++;
-      word.srs = SRS.calculate(4, word.srs.repetitions, word.srs.easeFactor, word.srs.interval);
     } else {
       state.rdIncorrect++;
       word.stats.flashcardIncorrect++;
-      word.srs = SRS.calculate(1, word.srs.repetitions, word.srs.easeFactor, word.srs.interval);
     }
+    applyReview(word, SRS.GRADES[grade]);
 
-    await VocabDB.updateWord(word);
+    try {
+      await recordAnswer(word, 'reading', SRS.GRADES[grade], checkpoint);
+    } catch (e) {
+      rollbackAnswer(word, checkpoint, e);
+      card.classList.remove(GRADE_SWIPE_CLASS[grade]);
+      state.answering = false;
+      return;
+    }
+    requeueIfLearning(word, SRS.GRADES[grade]);
 
-    setTimeout(() => {
+    state.advanceTimer = setTimeout(() => {
       state.rdIndex++;
       showReadingCard();
     }, 300);
   }
 
-  // ===================================================
-  // 学習完了
-  // ===================================================
-  async function finishStudy(type, correct, incorrect) {
-    const total = correct + incorrect;
-    const rate = total > 0 ? Math.round((correct / total) * 100) : 0;
+  /**
+   * 回答に応じてSRSを更新し、リーチになった単語を通知
+   */
+  function applyReview(word, quality) {
+    const wasLeech = SRS.isLeech(word);
+    const wasSuspended = !!word.suspended;
+    Object.assign(word, SRS.reviewWord(word, quality, Date.now(), state.studyTrack));
+
+    if (word.suspended && !wasSuspended) {
+      showToast(`「${word.wordDisplay || word.word}」は何度も忘れているため一時停止しました`);
+    } else if (SRS.isLeech(word) && !wasLeech) {
+      showToast(`「${word.wordDisplay || word.word}」を要注意（leech）タグに登録しました`);
+    }
+  }
 
-    // ログ保存
-    await VocabDB.addStudyLog({
-      type,
-      wordCount: total,
-      correctCount: correct,
-      duration: Date.now() - (state[type === 'flashcard' ? 'fcStartTime' : type === 'spelling' ? 'spStartTime' : 'mtStartTime'] || Date.now())
+  /**
+   * 詰め込み復習の回答を反映（長期の予定 word.srs は変えない）
+   */
+  function applyCram(word, quality) {
+    Object.assign(word, SRS.cramReview(word, quality, state.cramTag, state.examDates[state.cramTag]));
+  }
+
+  /**
+   * 回答結果を単語に保存し、回答ログへ記録（取り消し用に積む）
+   * @param {Object} word - SRS・統計を更新済みの単語
+   * @param {string} mode - 学習モード
+   * @param {number} quality - 回答品質 (0-5)
+   * @param {Object} checkpoint - createCheckpoint で控えた回答前の状態
+   * @returns {Promise<number>} 回答ログID
+   */
+  async function recordAnswer(word, mode, quality, checkpoint) {
+    const now = Date.now();
+    const responseTime = state.cardShownAt ? now - state.cardShownAt : 0;
+    state.cardShownAt = now;
+    const track = mode === 'matching' ? 'recognition' : state.studyTrack;
+    const reviewId = await VocabDB.saveAnswer(word, {
+      mode,
+      track,
+      grade: quality,
+      responseTime,
+      srsBefore: SRS.getTrack(checkpoint.word, track),
+      srsAfter: SRS.getTrack(word, track)
     });
+    state.undoStack.push({ ...checkpoint, mode, target: word, reviewId });
+    updateUndoButtons();
+    return reviewId;
+  }
 
-    // 結果表示
-    let icon = '🎉';
-    let title = 'お疲れ様！';
-    let subtitle = '';
+  /**
+   * 保存できなかった回答を取り消し、単語とセッションの進行を回答前に戻す
+   * 【ユーザー視点】画面は同じカードのままなので、そのまま答え直せる
+   */
+  function rollbackAnswer(word, checkpoint, error) {
+    console.error('回答の保存エラー:', error);
+    SRS.updateWorkload({ ...word }, checkpoint.word);
+    Object.keys(word).forEach(key => { delete word[key]; });
+    Object.assign(word, checkpoint.word);
+    Object.assign(state, checkpoint.session);
+    state.studyWords.length = checkpoint.studyLength;
+    showToast('回答を保存できませんでした。もう一度回答してください');
+  }
 
-    if (rate >= 90) {
-      icon = '🏆';
-      title = '素晴らしい！';
-      subtitle = '完璧に近いスコアです！';
-    } else if (rate >= 70) {
-      icon = '👏';
-      title = 'よくできました！';
-      subtitle = 'もう少しで完璧です！';
-    } else if (rate >= 50) {
-      icon = '💪';
-      title = 'がんばりました！';
-      subtitle = '繰り返し練習しましょう！';
-    } else {
-      icon = '📖';
-      title = 'もう少し練習しよう！';
-      subtitle = '間違えた単語を復習しましょう。';
+  /**
+   * 学習ステップ中（分単位の間隔）になった単語をセッションの最後に積み直す
+   * 【ユーザー視点】間違えた単語は翌日ではなく同じセッション内でもう一度出題
+   */
+  function requeueIfLearning(word, quality) {
+    const again = state.lastStudyMode === 'cram'
+      ? quality < 3
+      : SRS.isLearning(SRS.getTrack(word, state.studyTrack));
+    if (again && !word.suspended) {
+      state.studyWords.push(word);
     }
-
-    document.getElementById('results-icon').textContent = icon;
-    document.getElementById('results-title').textContent = title;
-    document.getElementById('results-subtitle').textContent = subtitle;
-    document.getElementById('result-total').textContent = total;
-    document.getElementById('result-correct').textContent = correct;
-    document.getElementById('result-incorrect').textContent = incorrect;
-
-    navigate('results');
+  }
+
+  // ===================================================
+  // 回答の取り消し【UX視点】
+  // ===================================================
+  const UNDO_SCREENS = ['flashcard', 'reading', 'spelling', 'matching', 'results'];
+  const SESSION_KEYS = [
+    'fcIndex', 'fcCorrect', 'fcIncorrect',
+    'rdIndex', 'rdCorrect', 'rdIncorrect',
+    'spIndex', 'spCorrect', 'spIncorrect',
+    'mtMatched', 'mtAttempts'
+  ];
+
+  function resetUndo() {
+    clearTimeout(state.advanceTimer);
+    state.undoStack = [];
+    state.lastStudyLogId = null;
+    updateUndoButtons();
+  }
+
+  /**
+   * 回答直前の単語とセッションの進行状況を控える
+   * 【ユーザー視点】誤スワイプしても回答前の状態にそのまま戻せる
+   */
+  function createCheckpoint(word) {
+    const session = {};
+    SESSION_KEYS.forEach(key => { session[key] = state[key]; });
+    return {
+      screen: state.currentScreen,
+      word: structuredClone(word),
+      session,
+      studyLength: state.studyWords.length
+    };
+  }
+
+  function updateUndoButtons() {
+    const empty = state.undoStack.length === 0;
+    document.querySelectorAll('[data-undo]').forEach(btn => { btn.disabled = empty; });
+    document.getElementById('btn-results-undo').classList.toggle('hidden', empty);
+  }
+
+  /**
+   * 最後の回答を取り消す
+   * 単語の srs・stats を回答前に戻し、回答ログを削除してセッションを1問戻す
+   */
+  async function undoLastAnswer() {
+    if (!UNDO_SCREENS.includes(state.currentScreen)) return;
+    const entry = state.undoStack.pop();
+    if (!entry) {
+      showToast('取り消せる回答がありません');
+      return;
+    }
+    clearTimeout(state.advanceTimer);
+
+    const word = entry.target;
+    try {
+      SRS.updateWorkload({ ...word }, entry.word);
+      Object.keys(word).forEach(key => { delete word[key]; });
+      Object.assign(word, entry.word);
+      await VocabDB.revertAnswer(word, entry.reviewId);
+
+      // 結果画面からの取り消しは学習ログも消してセッションに戻る
+      if (state.currentScreen === 'results') {
+        if (state.lastStudyLogId != null) await VocabDB.deleteStudyLog(state.lastStudyLogId);
+        state.lastStudyLogId = null;
+        goBack();
+      }
+    } catch (e) {
+      console.error('取り消しエラー:', e);
+      showToast('取り消しに失敗しました');
+      return;
+    }
+
+    Object.assign(state, entry.session);
+    state.studyWords.length = entry.studyLength;
+
+    switch (entry.screen) {
+      case 'flashcard':
+        showFlashcard();
+        break;
+      case 'reading':
+        showReadingCard();
+        break;
+      case 'spelling':
+        showSpellingQuestion();
+        break;
+      case 'matching':
+        restoreMatching(entry);
+        break;
+    }
+
+    updateUndoButtons();
+    showToast(`「${word.word}」の回答を取り消しました`);
+  }
+
+  function restoreMatching(entry) {
+    const grid = document.getElementById('matching-grid');
+    grid.querySelectorAll('.matching-tile').forEach(el => el.classList.remove('selected', 'wrong'));
+    if (entry.pairId) {
+      state.mtTiles.forEach((tile, i) => {
+        if (tile.pairId !== entry.pairId) return;
+        grid.querySelector(`[data-tile-index="${i}"]`).classList.remove('matched');
+      });
+    }
+    state.mtSelected = null;
+    state.cardShownAt = Date.now();
+    document.getElementById('mt-matches').textContent = state.mtMatched;
+    document.getElementById('mt-attempts').textContent = state.mtAttempts;
+    // 全ペア完成で止めたタイマーを再開
+    startMatchingTimer();
+  }
+
+  /**
+   * 端末を振って取り消す（devicemotion）
+   * iOS は許可ダイアログが必要なため、学習開始のタップ時に1度だけ要求する
+   */
+  const SHAKE_THRESHOLD = 25;
+  const SHAKE_INTERVAL_MS = 1500;
+
+  function requestMotionPermission() {
+    if (state.motionPermissionAsked) return;
+    state.motionPermissionAsked = true;
+    if (typeof DeviceMotionEvent !== 'undefined' && typeof DeviceMotionEvent.requestPermission === 'function') {
+      DeviceMotionEvent.requestPermission().catch(() => {});
+    }
+  }
+
+  function setupShakeToUndo() {
+    let lastShake = 0;
+    window.addEventListener('devicemotion', (e) => {
+      const a = e.accelerationIncludingGravity;
+      if (!a || a.x == null) return;
+      const force = Math.sqrt(a.x * a.x + a.y * a.y + a.z * a.z);
+      if (force < SHAKE_THRESHOLD) return;
+
+      const now = Date.now();
+      if (now - lastShake < SHAKE_INTERVAL_MS) return;
+      lastShake = now;
+      if (UNDO_SCREENS.includes(state.currentScreen)) undoLastAnswer();
+    });
+  }
+
+  // ===================================================
+  // 4段階評価（フラッシュカード・文章読解共通）
+  // ===================================================
+  const GRADE_SWIPE_CLASS = {
+    again: 'swiping-left',
+    hard: 'swiping-down',
+    good: 'swiping-right',
+    easy: 'swiping-up'
+  };
+  const SWIPE_CLASSES = Object.values(GRADE_SWIPE_CLASS);
+  const GRADE_KEYS = { '1': 'again', '2': 'hard', '3': 'good', '4': 'easy' };
+
+  function updateGradeIntervals(prefix, word) {
+    const intervals = state.lastStudyMode === 'cram'
+      ? SRS.previewCram(word, state.cramTag, state.examDates[state.cramTag])
+      : SRS.previewIntervals(SRS.getTrack(word, state.studyTrack), Date.now(), SRS.optionsFor(word));
+    Object.keys(intervals).forEach(grade => {
+      const el = document.getElementById(`${prefix}-interval-${grade}`);
+      if (el) el.textContent = intervals[grade] === null ? '達成' : SRS.formatInterval(intervals[grade]);
+    });
+  }
+
+  /**
+   * スワイプ量から評価を判定（横: もう一度/正解、縦: 簡単/難しい）
+   * @returns {string|null}
+   */
+  function swipeGrade(dx, dy, threshold) {
+    if (Math.abs(dx) < threshold && Math.abs(dy) < threshold) return null;
+    if (Math.abs(dx) >= Math.abs(dy)) return dx > 0 ? 'good' : 'again';
+    return dy < 0 ? 'easy' : 'hard';
+  }
+
+  // ===================================================
+  // 学習完了
+  // ===================================================
+  async function finishStudy(type, correct, incorrect) {
+    const total = correct + incorrect;
+    const rate = total > 0 ? Math.round((correct / total) * 100) : 0;
+
+    // ログ保存（結果画面から取り消せるようIDを控える）
+    clearInterval(state.mtTimer);
+    state.lastStudyLogId = await VocabDB.addStudyLog({
+      type,
+      wordCount: total,
+      correctCount: correct,
+      duration: Date.now() - (state[type === 'flashcard' ? 'fcStartTime' : type === 'spelling' ? 'spStartTime' : 'mtStartTime'] || Date.now())
+    });
+
+    // 結果表示
+    let icon = '🎉';
+    let title = 'お疲れ様！';
+    let subtitle = '';
+
+    if (rate >= 90) {
+      icon = '🏆';
+      title = '素晴らしい！';
+      subtitle = '完璧に近いスコアです！';
+    } else if (rate >= 70) {
+      icon = '👏';
+      title = 'よくできました！';
+      subtitle = 'もう少しで完璧です！';
+    } else if (rate >= 50) {
+      icon = '💪';
+      title = 'がんばりました！';
+      subtitle = '繰り返し練習しましょう！';
+    } else {
+      icon = '📖';
+      title = 'もう少し練習しよう！';
+      subtitle = '間違えた単語を復習しましょう。';
+    }
+
+    document.getElementById('results-icon').textContent = icon;
+    document.getElementById('results-title').textContent = title;
+    document.getElementById('results-subtitle').textContent = subtitle;
+    document.getElementById('result-total').textContent = total;
+    document.getElementById('result-correct').textContent = correct;
+    document.getElementById('result-incorrect').textContent = incorrect;
+
+    navigate('results');
   }
 
   // ===================================================
@@ -1119,10 +2076,18 @@ const App = (function () {
       case 'bookmarked':
         words = words.filter(w => w.bookmarked);
         break;
+      case 'suspended':
+        words = words.filter(w => w.suspended);
+        break;
     }
 
     words.sort((a, b) => b.createdAt - a.createdAt);
 
+    // 一時停止中の一覧では一括再開ボタンを表示
+    const unsuspendBtn = document.getElementById('btn-unsuspend-all');
+    unsuspendBtn.classList.toggle('hidden', state.wordlistFilter !== 'suspended' || words.length === 0);
+    state.wordlistVisibleIds = words.map(w => w.id);
+
     const container = document.getElementById('wordlist-items');
     const emptyEl = document.getElementById('empty-wordlist');
 
@@ -1155,6 +2120,15 @@ const App = (function () {
   // ===================================================
   // 単語詳細
   // ===================================================
+  /**
+   * トラックの次回復習を「未学習」「今日」「3日後」のように表示
+   */
+  function nextReviewLabel(srs) {
+    if (SRS.getPhase(srs) === 'new') return '未学習';
+    const wait = (srs.nextReview || 0) - Date.now();
+    return wait <= 0 ? '今日' : `${SRS.formatInterval(wait)}後`;
+  }
+
   async function showWordDetail(wordId) {
     const word = await VocabDB.getWord(wordId);
     if (!word) {
@@ -1230,15 +2204,106 @@ const App = (function () {
         <div class="srs-value text-danger">${totalIncorrect}</div>
         <div class="srs-label">不正解数</div>
       </div>
+      <div class="detail-srs-tracks">
+        ${SRS.TRACKS.map(track => `
+          <div class="detail-srs-item">
+            <div class="srs-value">${nextReviewLabel(SRS.getTrack(word, track))}</div>
+            <div class="srs-label">${TRACK_LABELS[track]}</div>
+          </div>
+        `).join('')}
+      </div>
     `;
 
+    document.getElementById('btn-toggle-suspend').textContent =
+      word.suspended ? '▶ 学習を再開' : '⏸ 学習を一時停止';
+
+    await renderRevisionTimeline(wordId);
+
     navigate('word-detail');
   }
 
+  // ===================================================
+  // 編集履歴
+  // ===================================================
+  const REVISION_SOURCES = {
+    manual: '手入力',
+    ocr: '写真から',
+    import: '取り込み',
+    revert: '以前の版に戻す',
+    study: '学習',
+    undo: '回答の取り消し',
+    merge: '重複の統合'
+  };
+
+  // word は wordDisplay の小文字なので表示しない
+  const REVISION_FIELDS = {
+    wordDisplay: '英単語',
+    meaning: '意味',
+    phonetic: '発音記号',
+    pos: '品詞',
+    examples: '例文',
+    synonyms: '類義語',
+    antonyms: '対義語',
+    tags: 'タグ',
+    memo: 'メモ'
+  };
+
+  function formatRevisionValue(field, value) {
+    if (Array.isArray(value)) {
+      const items = field === 'examples' ? value.map(ex => ex.en) : value;
+      return items.length > 0 ? items.join(field === 'examples' ? ' / ' : ', ') : '（なし）';
+    }
+    return value || '（なし）';
+  }
+
+  /**
+   * 単語詳細に編集履歴のタイムラインを表示（新しい順、最新以外は「この版に戻す」）
+   */
+  async function renderRevisionTimeline(wordId) {
+    const revisions = (await VocabDB.getWordRevisions(wordId)).reverse();
+    const container = document.getElementById('detail-history');
+    if (revisions.length === 0) {
+      container.innerHTML = '<span style="color:var(--text-secondary); font-size:13px;">編集履歴はまだありません</span>';
+      return;
+    }
+
+    container.innerHTML = revisions.map((rev, i) => {
+      const changes = Object.entries(rev.changes)
+        .filter(([field]) => REVISION_FIELDS[field])
+        .map(([field, change]) => `
+          <div class="revision-change">
+            ${REVISION_FIELDS[field]}:
+            ${rev.created ? '' : `<span class="revision-from">${esc(formatRevisionValue(field, change.from))}</span> →`}
+            ${esc(formatRevisionValue(field, change.to))}
+          </div>
+        `).join('');
+      return `
+        <div class="revision-item">
+          <div class="revision-head">
+            ${new Date(rev.timestamp).toLocaleString('ja-JP')} ・ ${rev.created ? '登録' : '編集'}（${REVISION_SOURCES[rev.source] || rev.source}）
+          </div>
+          ${changes}
+          ${i > 0 ? `<button class="btn btn-sm btn-outline mt-8" data-revert-revision="${rev.id}">この版に戻す</button>` : ''}
+        </div>
+      `;
+    }).join('');
+
+    container.querySelectorAll('[data-revert-revision]').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        await VocabDB.revertWord(wordId, Number(btn.dataset.revertRevision));
+        showToast('この版の内容に戻しました');
+        showWordDetail(wordId);
+      });
+    });
+  }
+
   async function deleteWord() {
     if (!state.currentWordId) return;
 
     showModal('この単語を削除しますか？', `
+      <p class="text-secondary" style="font-size:13px;">
+        ゴミ箱に移動します。${state.trashRetentionDays}日以内なら設定の「ゴミ箱」から元に戻せます。
+      </p>
       <div style="display:flex; gap:12px; margin-top:16px;">
         <button class="btn btn-outline" style="flex:1" onclick="App.hideModal()">キャンセル</button>
         <button class="btn btn-danger" style="flex:1" id="btn-confirm-delete">削除</button>
@@ -1248,12 +2313,36 @@ const App = (function () {
     document.getElementById('btn-confirm-delete').addEventListener('click', async () => {
       await VocabDB.deleteWord(state.currentWordId);
       hideModal();
-      showToast('単語を削除しました');
+      showToast('単語をゴミ箱に移動しました');
       state.currentWordId = null;
       goBack();
     });
   }
 
+  /**
+   * 一覧に表示中の一時停止単語をまとめて再開
+   */
+  async function unsuspendVisibleWords() {
+    const ids = new Set(state.wordlistVisibleIds);
+    const words = (await VocabDB.getAllWords()).filter(w => ids.has(w.id) && w.suspended);
+    if (words.length === 0) return;
+
+    words.forEach(w => { w.suspended = false; });
+    await VocabDB.updateWords(words);
+    showToast(`${words.length}語の学習を再開しました`);
+    await refreshWordlist();
+  }
+
+  async function toggleSuspend() {
+    const word = await VocabDB.getWord(state.currentWordId);
+    if (!word) return;
+
+    word.suspended = !word.suspended;
+    await VocabDB.updateWord(word);
+    showToast(word.suspended ? '学習を一時停止しました' : '学習を再開しました');
+    showWordDetail(word.id);
+  }
+
   async function toggleBookmark(wordId) {
     const word = await VocabDB.getWord(wordId);
     if (!word) return;
@@ -1285,18 +2374,203 @@ const App = (function () {
     await VocabDB.setSetting('autoSpeak', state.autoSpeak);
   }
 
-  async function exportData(filterTags = null) {
+  function algorithmLabel(algorithm) {
+    return algorithm === 'fsrs' ? 'FSRS' : 'SM-2';
+  }
+
+  /**
+   * アルゴリズムを切り替えて保存（FSRS へは既存の記録を移行してから）
+   */
+  async function setSrsAlgorithm(algorithm) {
+    if (algorithm === 'fsrs') {
+      const words = await VocabDB.getAllWords();
+      const targets = words.filter(w => SRS.TRACKS.some(track => {
+        const srs = SRS.getTrack(w, track);
+        return srs.lastReview && !srs.stability;
+      }));
+      targets.forEach(w => Object.assign(w, SRS.migrateWord(w)));
+      if (targets.length > 0) await VocabDB.updateWords(targets);
+    }
+
+    state.srsAlgorithm = algorithm;
+    SRS.configure({ algorithm });
+    await VocabDB.setSetting('srsAlgorithm', algorithm);
+    document.getElementById('srs-algorithm-value').textContent = algorithmLabel(algorithm);
+  }
+
+  /**
+   * 復習アルゴリズムの選択
+   * FSRSへの切替時は既存のSM-2記録から安定度・難易度を推定して引き継ぐ
+   */
+  function changeSrsAlgorithm() {
+    showModal('復習アルゴリズム', `
+      <div class="study-modes">
+        <div class="settings-item" data-algorithm="sm2" style="cursor:pointer">
+          <span class="settings-label">SM-2（標準）</span>
+          <span class="settings-value">${state.srsAlgorithm === 'sm2' ? '✓' : ''}</span>
+        </div>
+        <div class="settings-item" data-algorithm="fsrs" style="cursor:pointer">
+          <span class="settings-label">FSRS（記憶モデル）</span>
+          <span class="settings-value">${state.srsAlgorithm === 'fsrs' ? '✓' : ''}</span>
+        </div>
+      </div>
+      <p class="text-secondary mt-8" style="font-size:12px;">
+        💡 FSRSは記憶の安定度と難易度から、忘れかける直前に出題します。長い間隔での定着率が上がります。
+      </p>
+    `);
+
+    document.querySelectorAll('[data-algorithm]').forEach(item => {
+      item.addEventListener('click', async () => {
+        const algorithm = item.dataset.algorithm;
+        if (algorithm === state.srsAlgorithm) {
+          hideModal();
+          return;
+        }
+
+        try {
+          await setSrsAlgorithm(algorithm);
+          hideModal();
+          showToast(`${algorithmLabel(algorithm)} に切り替えました`);
+        } catch (e) {
+          showToast('切り替えに失敗しました');
+          console.error(e);
+        }
+      });
+    });
+  }
+
+  function formatSteps(steps) {
+    return steps.length > 0 ? steps.map(m => `${m}分`).join(' → ') : 'なし';
+  }
+
+  /**
+   * "1 10" や "1m, 10m" 形式の入力を分の配列に変換
+   * @returns {Array<number>|null} 不正な入力なら null
+   */
+  function parseSteps(text) {
+    const parts = text.split(/[\s,、]+/).map(s => s.trim()).filter(s => s);
+    const steps = parts.map(p => parseFloat(p.replace(/(m|分)$/i, '')));
+    if (steps.some(m => !(m > 0) || m >= 1440)) return null;
+    return steps;
+  }
+
+  /**
+   * 学習ステップの設定（新規・再学習）
+   */
+  function changeLearningSteps() {
+    showModal('学習ステップ', `
+      <p class="text-secondary mb-8" style="font-size:13px;">
+        間違えた単語や新しい単語を、同じ日のうちに何分後に再出題するかを指定します（1440分未満）。
+      </p>
+      <div class="input-group">
+        <label>新規単語（分、スペース区切り）</label>
+        <input type="text" class="input-field" id="input-learning-steps" value="${esc(state.learningSteps.join(' '))}" placeholder="例: 1 10">
+      </div>
+      <div class="input-group">
+        <label>忘れた単語の再学習（分、スペース区切り）</label>
+        <input type="text" class="input-field" id="input-relearning-steps" value="${esc(state.relearningSteps.join(' '))}" placeholder="例: 10">
+      </div>
+      <button class="btn btn-primary btn-block" id="btn-save-steps">保存</button>
+    `);
+
+    document.getElementById('btn-save-steps').addEventListener('click', async () => {
+      const learningSteps = parseSteps(document.getElementById('input-learning-steps').value);
+      const relearningSteps = parseSteps(document.getElementById('input-relearning-steps').value);
+      if (!learningSteps || !relearningSteps) {
+        showToast('1〜1439の分数を入力してください');
+        return;
+      }
+
+      state.learningSteps = learningSteps;
+      state.relearningSteps = relearningSteps;
+      SRS.configure({ learningSteps, relearningSteps });
+      await VocabDB.setSetting('learningSteps', learningSteps);
+      await VocabDB.setSetting('relearningSteps', relearningSteps);
+      document.getElementById('learning-steps-value').textContent = formatSteps(learningSteps);
+      hideModal();
+      showToast('学習ステップを更新しました');
+    });
+  }
+
+  function downloadFile(content, filename, type = 'application/json') {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * 書き出す前にパスワードで暗号化するかを選ぶ
+   * 【ユーザー視点】LINE などで送るときにメモを他の人に読まれないようにできる
+   * @param {string} actionName - ボタンの文言
+   * @param {Function} callback - パスワード（暗号化しないときは null）を受け取る
+   */
+  function askExportPassphrase(actionName, callback) {
+    showModal(actionName, `
+      <label style="display:flex; align-items:center; gap:8px; padding:8px 0; cursor:pointer;">
+        <input type="checkbox" id="export-encrypt">
+        <span>🔒 パスワードで暗号化する</span>
+      </label>
+      <div id="export-passphrase-fields" class="hidden">
+        <p class="mb-8" style="color:var(--text-secondary); font-size:13px;">メモを含むすべての内容が暗号化されます。パスワードを忘れると取り込めなくなります。</p>
+        <div class="input-group">
+          <label>パスワード（${BackupCrypto.MIN_PASSPHRASE_LENGTH}文字以上）</label>
+          <input type="password" class="input-field" id="export-passphrase" autocomplete="new-password">
+        </div>
+        <div class="input-group">
+          <label>パスワード（確認）</label>
+          <input type="password" class="input-field" id="export-passphrase-confirm" autocomplete="new-password">
+        </div>
+      </div>
+      <p class="passphrase-error" id="export-passphrase-error"></p>
+      <button class="btn btn-primary btn-block" id="btn-export-action">${actionName}</button>
+    `);
+
+    const checkbox = document.getElementById('export-encrypt');
+    const fields = document.getElementById('export-passphrase-fields');
+    const error = document.getElementById('export-passphrase-error');
+    checkbox.addEventListener('change', () => {
+      fields.classList.toggle('hidden', !checkbox.checked);
+      error.textContent = '';
+    });
+
+    document.getElementById('btn-export-action').addEventListener('click', () => {
+      if (!checkbox.checked) {
+        hideModal();
+        callback(null);
+        return;
+      }
+      const passphrase = document.getElementById('export-passphrase').value;
+      if (passphrase.length < BackupCrypto.MIN_PASSPHRASE_LENGTH) {
+        error.textContent = `パスワードは${BackupCrypto.MIN_PASSPHRASE_LENGTH}文字以上にしてください`;
+        return;
+      }
+      if (passphrase !== document.getElementById('export-passphrase-confirm').value) {
+        error.textContent = '確認用のパスワードが一致しません';
+        return;
+      }
+      hideModal();
+      callback(passphrase);
+    });
+  }
+
+  async function exportData(filterTags = null, passphrase = null) {
     try {
       const json = await VocabDB.exportData(filterTags);
       const data = JSON.parse(json);
       const tagSuffix = filterTags ? `-${filterTags.join('_')}` : '-all';
-      const blob = new Blob([json], { type: 'application/json' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `vocabsnap${tagSuffix}-${new Date().toISOString().split('T')[0]}.json`;
-      a.click();
-      URL.revokeObjectURL(url);
+      const date = new Date().toISOString().split('T')[0];
+      if (passphrase) {
+        showToast('暗号化しています...');
+        const encrypted = await BackupCrypto.encrypt(json, passphrase);
+        downloadFile(encrypted, `vocabsnap${tagSuffix}-${date}-encrypted.json`);
+        showToast(`${data.words.length}語を暗号化してエクスポートしました`);
+        return;
+      }
+      downloadFile(json, `vocabsnap${tagSuffix}-${date}.json`);
       showToast(`${data.words.length}語をエクスポートしました`);
     } catch (e) {
       showToast('エクスポートに失敗しました');
@@ -1304,6 +2578,46 @@ const App = (function () {
     }
   }
 
+  async function downloadMigrationBackup(backup) {
+    try {
+      const json = await VocabDB.exportMigrationBackup(backup.id);
+      const date = new Date(backup.createdAt).toISOString().split('T')[0];
+      downloadFile(json, `vocabsnap-backup-v${backup.fromVersion}-${date}.json`);
+    } catch (e) {
+      showToast('バックアップの保存に失敗しました');
+      console.error(e);
+    }
+  }
+
+  /**
+   * データ形式の更新前に自動で取ったバックアップの一覧
+   * 【ユーザー視点】更新後に何かおかしくても、JSONとして保存して取り込み直せる
+   */
+  async function showMigrationBackups() {
+    const backups = await VocabDB.getMigrationBackups();
+    showModal('更新前のバックアップ', backups.length === 0 ? `
+      <p class="text-secondary" style="font-size:13px;">バックアップはありません。データ形式を更新するときに自動で作成されます。</p>
+    ` : `
+      <p class="text-secondary mb-8" style="font-size:13px;">
+        アプリの更新でデータ形式が変わる直前の状態です（最新${backups.length}件）。保存したファイルは「JSONファイルから取り込み」で戻せます。
+      </p>
+      <div class="study-modes">
+        ${backups.map(b => `
+          <div class="settings-item" data-backup-id="${b.id}" style="cursor:pointer">
+            <span class="settings-label">${new Date(b.createdAt).toLocaleString('ja-JP')}</span>
+            <span class="settings-value">v${b.fromVersion}・${b.wordCount}語 💾</span>
+          </div>
+        `).join('')}
+      </div>
+    `);
+
+    document.querySelectorAll('[data-backup-id]').forEach(item => {
+      item.addEventListener('click', () => {
+        downloadMigrationBackup(backups.find(b => b.id === Number(item.dataset.backupId)));
+      });
+    });
+  }
+
   /**
    * タグ選択ダイアログを表示してからアクションを実行
    */
@@ -1351,9 +2665,9 @@ const App = (function () {
    * Web Share API でデータを共有（LINE, AirDrop, メール等）
    */
   async function shareData() {
-    showTagPicker('共有する', async (filterTags) => {
+    showTagPicker('共有する', (filterTags) => askExportPassphrase('共有する', async (passphrase) => {
       try {
-        const json = await VocabDB.exportData(filterTags);
+        let json = await VocabDB.exportData(filterTags);
         const data = JSON.parse(json);
         const wordCount = data.words.length;
 
@@ -1361,11 +2675,12 @@ const App = (function () {
           showToast('共有する単語がありません');
           return;
         }
+        if (passphrase) json = await BackupCrypto.encrypt(json, passphrase);
+        const filename = `vocabsnap-${new Date().toISOString().split('T')[0]}${passphrase ? '-encrypted' : ''}.json`;
 
         // 方法1: ファイル共有を試す
         if (navigator.share) {
           try {
-            const filename = `vocabsnap-${new Date().toISOString().split('T')[0]}.json`;
             const file = new File([json], filename, { type: 'application/json' });
 
             if (navigator.canShare && navigator.canShare({ files: [file] })) {
@@ -1379,7 +2694,16 @@ const App = (function () {
             console.log('ファイル共有失敗、テキスト共有にフォールバック:', fileErr.name);
             if (fileErr.name === 'AbortError') return;
           }
+        }
+
+        // 暗号化したときは平文のテキストで送らず、ファイルとして保存する
+        if (passphrase) {
+          downloadFile(json, filename);
+          showToast('暗号化したファイルを保存しました。LINEなどで送ってください');
+          return;
+        }
 
+        if (navigator.share) {
           // 方法2: テキスト共有
           try {
             const text = await VocabDB.exportAsText(filterTags);
@@ -1408,7 +2732,7 @@ const App = (function () {
         showToast('共有に失敗しました');
         console.error(e);
       }
-    });
+    }));
   }
 
   /**
@@ -1527,7 +2851,7 @@ const App = (function () {
           どのように取り込みますか？
         </p>
         <div style="display:flex; flex-direction:column; gap:8px;">
-          <button class="btn btn-primary btn-block" id="btn-import-merge-url">追加する（既存データを保持）</button>
+          <button class="btn btn-primary btn-block" id="btn-import-merge-url">統合する（内容を確認してから取り込む）</button>
           <button class="btn btn-outline btn-block" id="btn-import-replace-url">置き換える（既存データを削除）</button>
           <button class="btn btn-outline btn-block" onclick="App.hideModal()">キャンセル</button>
         </div>
@@ -1535,18 +2859,11 @@ const App = (function () {
 
       const json = JSON.stringify({ version: 1, words });
 
-      document.getElementById('btn-import-merge-url').addEventListener('click', async () => {
-        const count = await VocabDB.importData(json, true);
-        hideModal();
-        showToast(`${count}個の単語を追加しました`);
-        await refreshHome();
+      document.getElementById('btn-import-merge-url').addEventListener('click', () => {
+        showValidationReport(json, '次へ（統合の確認）', showImportReport);
       });
-
-      document.getElementById('btn-import-replace-url').addEventListener('click', async () => {
-        const count = await VocabDB.importData(json, false);
-        hideModal();
-        showToast(`${count}個の単語をインポートしました`);
-        await refreshHome();
+      document.getElementById('btn-import-replace-url').addEventListener('click', () => {
+        showValidationReport(json, '置き換える', replaceImport);
       });
     } catch (e) {
       console.error('URLインポートエラー:', e);
@@ -1557,41 +2874,158 @@ const App = (function () {
     if (!file) return;
     try {
       const text = await file.text();
+      if (BackupCrypto.isEncrypted(text)) {
+        askImportPassphrase(text, chooseImportMode);
+        return;
+      }
+      chooseImportMode(text);
+    } catch (e) {
+      showToast(e.message);
+    }
+  }
+
+  /**
+   * 暗号化されたバックアップのパスワードを聞いて復号する
+   * 【ユーザー視点】パスワード違いと、ファイルの破損・改ざんを分けて知らせる。パスワード違いはその場で入れ直せる
+   * @param {string} text - 暗号化ファイルの中身
+   * @param {Function} onDecrypted - 復号した JSON を受け取る
+   */
+  function askImportPassphrase(text, onDecrypted) {
+    showModal('🔒 暗号化されたバックアップ', `
+      <p class="mb-8" style="color:var(--text-secondary);">書き出したときのパスワードを入力してください。</p>
+      <div class="input-group">
+        <label>パスワード</label>
+        <input type="password" class="input-field" id="import-passphrase" autocomplete="current-password">
+      </div>
+      <p class="passphrase-error" id="import-passphrase-error"></p>
+      <div style="display:flex; flex-direction:column; gap:8px;">
+        <button class="btn btn-primary btn-block" id="btn-import-decrypt">復号する</button>
+        <button class="btn btn-outline btn-block" onclick="App.hideModal()">キャンセル</button>
+      </div>
+    `);
 
+    const input = document.getElementById('import-passphrase');
+    const error = document.getElementById('import-passphrase-error');
+    const button = document.getElementById('btn-import-decrypt');
+    input.focus();
+
+    const decrypt = async () => {
+      button.disabled = true;
+      button.textContent = '復号しています...';
+      error.textContent = '';
+      try {
+        const json = await BackupCrypto.decrypt(text, input.value);
+        onDecrypted(json);
+      } catch (e) {
+        error.textContent = e.message;
+        button.disabled = false;
+        button.textContent = '復号する';
+        input.select();
+      }
+    };
+    button.addEventListener('click', decrypt);
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') decrypt();
+    });
+  }
+
+  function chooseImportMode(text) {
+    try {
       // マージ or 置換 選択ダイアログ
       showModal('インポート方法', `
         <p style="margin-bottom:16px; color:var(--text-secondary);">
           既存のデータをどうしますか？
         </p>
         <div style="display:flex; flex-direction:column; gap:8px;">
-          <button class="btn btn-primary btn-block" id="btn-import-merge">追加する（既存データを保持）</button>
+          <button class="btn btn-primary btn-block" id="btn-import-merge">統合する（内容を確認してから取り込む）</button>
           <button class="btn btn-outline btn-block" id="btn-import-replace">置き換える（既存データを削除）</button>
           <button class="btn btn-outline btn-block" onclick="App.hideModal()">キャンセル</button>
         </div>
       `);
 
-      document.getElementById('btn-import-merge').addEventListener('click', async () => {
-        try {
-          const count = await VocabDB.importData(text, true);
-          hideModal();
-          showToast(`${count}個の単語を追加しました`);
-          await refreshHome();
-        } catch (e) { showToast(e.message); hideModal(); }
+      document.getElementById('btn-import-merge').addEventListener('click', () => {
+        showValidationReport(text, '次へ（統合の確認）', showImportReport);
       });
-
-      document.getElementById('btn-import-replace').addEventListener('click', async () => {
-        try {
-          const count = await VocabDB.importData(text, false);
-          hideModal();
-          showToast(`${count}個の単語をインポートしました`);
-          await refreshHome();
-        } catch (e) { showToast(e.message); hideModal(); }
+      document.getElementById('btn-import-replace').addEventListener('click', () => {
+        showValidationReport(text, '置き換える', replaceImport);
       });
     } catch (e) {
       showToast(e.message);
     }
   }
 
+  async function replaceImport(json) {
+    try {
+      const count = await VocabDB.importData(json, false);
+      hideModal();
+      showToast(`${count}個の単語をインポートしました`);
+      await refreshHome();
+    } catch (e) { showToast(e.message); hideModal(); }
+  }
+
+  const VALIDATION_KINDS = { words: '単語', studyLogs: '学習記録', reviews: '回答ログ' };
+
+  /**
+   * 取り込むデータを書き込まずに検証し、除外・修正するレコードを一覧してから続ける
+   * 【ユーザー視点】壊れたファイルでも、何が取り込まれて何が落ちるのかを書き込む前に確認できる
+   * @param {string} json - エクスポート形式のJSON
+   * @param {string} actionLabel - 続けるボタンの文言
+   * @param {Function} onContinue - 検証を通ったデータ（JSON）を受け取る
+   */
+  function showValidationReport(json, actionLabel, onContinue) {
+    let report;
+    try {
+      report = VocabDB.validateImport(json);
+    } catch (e) {
+      showModal('データの検査', `
+        <p class="mb-8" style="font-weight:600;">このファイルは取り込めません</p>
+        <p class="text-secondary" style="font-size:13px;">${esc(e.message)}</p>
+      `);
+      return;
+    }
+
+    const rejected = report.issues.filter(i => i.status === 'rejected').length;
+    const repaired = report.issues.length - rejected;
+    showModal('データの検査', `
+      <div class="column-preview mb-8">
+        <table>
+          <thead><tr><th></th><th>件数</th><th>取り込む</th><th>うち修正</th><th>除外</th></tr></thead>
+          <tbody>
+            ${Object.entries(VALIDATION_KINDS).map(([kind, label]) => {
+              const c = report.counts[kind];
+              return `<tr><th>${label}</th><td>${c.total}</td><td>${c.accepted}</td><td>${c.repaired}</td><td>${c.rejected}</td></tr>`;
+            }).join('')}
+          </tbody>
+        </table>
+      </div>
+      ${report.issues.length === 0 ? `
+        <p class="text-secondary" style="font-size:13px;">問題は見つかりませんでした。</p>
+      ` : `
+        <p class="text-secondary mb-8" style="font-size:13px;">
+          ${rejected ? `${rejected}件は形式が正しくないため取り込みません。` : ''}
+          ${repaired ? `${repaired}件は値を直して取り込みます。` : ''}
+        </p>
+        <ul class="import-errors">
+          ${report.issues.slice(0, 100).map(issue => `
+            <li>
+              <span class="import-issue-status ${issue.status}">${issue.status === 'rejected' ? '除外' : '修正'}</span>
+              ${VALIDATION_KINDS[issue.kind]}${issue.index ? ` ${issue.index}件目` : ''}${issue.label ? `「${esc(issue.label)}」` : ''}
+              <div class="import-error-text">${issue.problems.map(esc).join('<br>')}</div>
+            </li>
+          `).join('')}
+        </ul>
+        ${report.issues.length > 100 ? `<p class="text-secondary" style="font-size:12px;">ほか${report.issues.length - 100}件</p>` : ''}
+      `}
+      <button class="btn btn-primary btn-block mt-16" id="btn-validation-continue"
+        ${report.data.words.length === 0 ? 'disabled' : ''}>${esc(actionLabel)}</button>
+      <button class="btn btn-outline btn-block mt-8" onclick="App.hideModal()">キャンセル</button>
+    `);
+
+    document.getElementById('btn-validation-continue').addEventListener('click', () => {
+      onContinue(JSON.stringify(report.data));
+    });
+  }
+
   /**
    * テキスト貼り付けからインポート
    */
@@ -1600,7 +3034,8 @@ const App = (function () {
       <p style="margin-bottom:8px; color:var(--text-secondary); font-size:13px;">
         1行1単語の形式で貼り付けてください：<br>
         <code style="font-size:12px; background:var(--bg-secondary); padding:2px 4px; border-radius:4px;">word : 意味</code><br>
-        <code style="font-size:12px; background:var(--bg-secondary); padding:2px 4px; border-radius:4px;">word [発音] (品詞) : 意味</code>
+        <code style="font-size:12px; background:var(--bg-secondary); padding:2px 4px; border-radius:4px;">word [発音] (品詞) : 意味</code><br>
+        表計算ソフトからコピーした表は、次の画面で列ごとに取り込み先を選べます。
       </p>
       <div class="input-group">
         <textarea class="input-field" id="import-text-area" rows="8" placeholder="apple : りんご&#10;decide : 決める&#10;important [impɔ́ːrtənt] (形) : 重要な"></textarea>
@@ -1611,6 +3046,11 @@ const App = (function () {
     document.getElementById('btn-import-text-go').addEventListener('click', async () => {
       const text = document.getElementById('import-text-area').value.trim();
       if (!text) { showToast('テキストを入力してください'); return; }
+      // 表計算ソフトからコピーした表（タブ区切り）は列の対応付けへ
+      if (text.split('\n')[0].includes('\t')) {
+        showCsvMapping(text, '\t');
+        return;
+      }
       try {
         const count = await VocabDB.importFromText(text, true);
         hideModal();
@@ -1622,10 +3062,319 @@ const App = (function () {
     });
   }
 
+  // --- 列の対応付け（CSV・Anki の取り込み） ---
+  /**
+   * 取り込む単語の先頭数件をプレビュー
+   * @param {Array} words
+   * @param {Object} [options]
+   * @param {boolean} [options.showLevel] - 学習状況の列を出す
+   */
+  function wordPreviewHTML(words, { showLevel = false } = {}) {
+    if (words.length === 0) {
+      return '<p class="text-secondary" style="font-size:13px;">取り込める単語がありません。取り込み先を確認してください。</p>';
+    }
+    return `
+      <div class="column-preview">
+        <table>
+          <thead>
+            <tr><th>単語</th><th>意味</th><th>発音記号</th><th>品詞</th><th>例文</th><th>タグ</th>${showLevel ? '<th>学習</th>' : ''}</tr>
+          </thead>
+          <tbody>
+            ${words.map(w => `
+              <tr>
+                <td>${esc(w.word)}</td>
+                <td>${esc(w.meaning)}</td>
+                <td>${esc(w.phonetic)}</td>
+                <td>${esc(w.pos)}</td>
+                <td>${esc(formatRevisionValue('examples', w.examples))}</td>
+                <td>${esc((w.tags || []).join(', '))}</td>
+                ${showLevel ? `<td>${SRS.getLevelLabel(w)}</td>` : ''}
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  /**
+   * 取り込めない行の一覧（行番号・理由・元の行）
+   * @param {Array<{ line: number, reason: string, text?: string }>} errors
+   */
+  function importErrorsHTML(errors) {
+    if (errors.length === 0) return '';
+    return `
+      <div class="section-title mt-16">取り込めない行（${errors.length}行）</div>
+      <ul class="import-errors">
+        ${errors.slice(0, 50).map(e => `
+          <li>
+            <span class="import-error-line">${e.line}行目</span>${esc(e.reason)}
+            ${e.text ? `<div class="import-error-text">${esc(e.text)}</div>` : ''}
+          </li>
+        `).join('')}
+      </ul>
+      ${errors.length > 50 ? `<p class="text-secondary" style="font-size:12px;">ほか${errors.length - 50}行</p>` : ''}
+    `;
+  }
+
+  /**
+   * CSV/TSV ファイルを読み込み、列の対応付けを確認してから取り込む
+   */
+  async function importCsv(file) {
+    if (!file) return;
+    try {
+      showCsvMapping(CSV.decode(await file.arrayBuffer()));
+    } catch (e) {
+      showToast('読み込みに失敗しました: ' + e.message);
+      console.error(e);
+    }
+  }
+
+  const CSV_DELIMITERS = [['\t', 'タブ'], [',', 'カンマ'], [';', 'セミコロン']];
+
+  /**
+   * 列 → 単語のフィールドの対応付け（プレビューと取り込めない行の一覧つき）
+   * 【ユーザー視点】どの行がなぜ取り込めないかを行番号つきで見せ、元の表を直しやすくする
+   * @param {string} text - CSV/TSV の中身
+   * @param {string} [delimiter] - 省略時は推測
+   */
+  function showCsvMapping(text, delimiter) {
+    const parsed = CSV.parse(text, delimiter);
+    if (parsed.records.length === 0) {
+      showToast('取り込める行がありません');
+      return;
+    }
+    const first = parsed.records[0].cells;
+    const width = Math.max(...parsed.records.map(r => r.cells.length));
+    let hasHeader = CSV.looksLikeHeader(first);
+    let mapping = CSV.guessMapping(hasHeader ? first : null, width);
+
+    const convert = () => {
+      const result = CSV.toWords(hasHeader ? parsed.records.slice(1) : parsed.records, mapping);
+      return { words: result.words, errors: [...parsed.errors, ...result.errors].sort((a, b) => a.line - b.line) };
+    };
+    const columnLabel = i => (hasHeader && first[i] ? first[i] : `${i + 1}列目`);
+    const columnSample = i => {
+      const record = parsed.records.slice(hasHeader ? 1 : 0).find(r => (r.cells[i] || '').trim());
+      return record ? record.cells[i].trim().split('\n')[0] : '';
+    };
+
+    showModal('CSV/TSVから取り込み', `
+      <div class="column-options">
+        <label>
+          <span>区切り文字</span>
+          <select class="input-field" id="csv-delimiter">
+            ${CSV_DELIMITERS.map(([d, label], i) => `
+              <option value="${i}" ${parsed.delimiter === d ? 'selected' : ''}>${label}</option>
+            `).join('')}
+          </select>
+        </label>
+        <label class="column-option">
+          <input type="checkbox" id="csv-has-header" ${hasHeader ? 'checked' : ''}>
+          <span>1行目は見出し</span>
+        </label>
+      </div>
+      <div class="column-mapping mt-16" id="csv-columns"></div>
+      <div class="section-title mt-16">プレビュー</div>
+      <div id="csv-preview"></div>
+      <div id="csv-errors"></div>
+      <button class="btn btn-primary btn-block mt-16" id="btn-csv-next">次へ（取り込みの確認）</button>
+    `);
+
+    const renderColumns = () => {
+      document.getElementById('csv-columns').innerHTML = mapping.map((target, i) => `
+        <label>
+          <span class="column-name">${esc(columnLabel(i))}</span>
+          <span class="column-sample">${esc(columnSample(i))}</span>
+          <select class="input-field" data-csv-column="${i}">
+            ${Object.entries(CSV.TARGET_FIELDS).map(([value, label]) => `
+              <option value="${value}" ${target === value ? 'selected' : ''}>${label}</option>
+            `).join('')}
+          </select>
+        </label>
+      `).join('');
+      document.querySelectorAll('[data-csv-column]').forEach(select => {
+        select.addEventListener('change', () => {
+          mapping[Number(select.dataset.csvColumn)] = select.value;
+          renderResult();
+        });
+      });
+    };
+
+    const renderResult = () => {
+      const { words, errors } = convert();
+      document.getElementById('csv-preview').innerHTML = wordPreviewHTML(words.slice(0, 5));
+      document.getElementById('csv-errors').innerHTML = importErrorsHTML(errors);
+      document.getElementById('btn-csv-next').textContent = `次へ（${words.length}語の取り込みを確認）`;
+    };
+
+    renderColumns();
+    renderResult();
+
+    document.getElementById('csv-delimiter').addEventListener('change', (e) => {
+      showCsvMapping(text, CSV_DELIMITERS[Number(e.target.value)][0]);
+    });
+    document.getElementById('csv-has-header').addEventListener('change', (e) => {
+      hasHeader = e.target.checked;
+      mapping = CSV.guessMapping(hasHeader ? first : null, width);
+      renderColumns();
+      renderResult();
+    });
+
+    document.getElementById('btn-csv-next').addEventListener('click', () => {
+      const { words } = convert();
+      if (words.length === 0) {
+        showToast('取り込める単語がありません');
+        return;
+      }
+      showImportReport(JSON.stringify({ version: 1, words }));
+    });
+  }
+
+  // --- Anki ---
+  /**
+   * Anki のデッキ (.apkg) / テキスト (.txt) を読み込み、フィールドの対応付けを確認してから取り込む
+   */
+  async function importAnki(file) {
+    if (!file) return;
+    try {
+      showToast('デッキを読み込んでいます...');
+      const table = /\.apkg$/i.test(file.name) ? await Anki.readPackage(file) : Anki.readTsv(await file.text());
+      if (table.rows.length === 0) throw new Error('ノートがありません');
+      showAnkiMapping(table);
+    } catch (e) {
+      showToast('読み込みに失敗しました: ' + e.message);
+      console.error(e);
+    }
+  }
+
+  /**
+   * Anki のフィールド → VocabSnap のフィールドの対応付け（先頭5件のプレビューつき）
+   * 【ユーザー視点】デッキごとにフィールド名が違っても、取り込む前に見て直せる
+   */
+  function showAnkiMapping(table) {
+    const mapping = Anki.guessMapping(table.fields);
+    let withSrs = table.hasSrs;
+    const sample = name => {
+      const row = table.rows.find(r => r.values[name]);
+      return row ? row.values[name].split('\n')[0] : '';
+    };
+
+    showModal('Ankiから取り込み', `
+      <p class="text-secondary mb-8" style="font-size:13px;">
+        ${table.rows.length}件のノートがあります。各フィールドの取り込み先を選んでください。
+      </p>
+      <div class="column-mapping">
+        ${table.fields.map((name, i) => `
+          <label>
+            <span class="column-name">${esc(name)}</span>
+            <span class="column-sample">${esc(sample(name))}</span>
+            <select class="input-field" data-anki-field="${i}">
+              ${Object.entries(Anki.TARGET_FIELDS).map(([target, label]) => `
+                <option value="${target}" ${mapping[name] === target ? 'selected' : ''}>${label}</option>
+              `).join('')}
+            </select>
+          </label>
+        `).join('')}
+      </div>
+      ${table.hasSrs ? `
+        <label class="column-option">
+          <input type="checkbox" id="anki-with-srs" checked>
+          <span>学習状況（間隔・次回復習）も取り込む</span>
+        </label>
+      ` : ''}
+      <div class="section-title mt-16">プレビュー</div>
+      <div id="anki-preview"></div>
+      ${importErrorsHTML(table.errors)}
+      <button class="btn btn-primary btn-block mt-16" id="btn-anki-next">次へ（取り込みの確認）</button>
+    `);
+
+    const renderPreview = () => {
+      document.getElementById('anki-preview').innerHTML =
+        wordPreviewHTML(Anki.toWords(table, mapping, { withSrs }).slice(0, 5), { showLevel: withSrs });
+    };
+    renderPreview();
+
+    document.querySelectorAll('[data-anki-field]').forEach(select => {
+      select.addEventListener('change', () => {
+        mapping[table.fields[Number(select.dataset.ankiField)]] = select.value;
+        renderPreview();
+      });
+    });
+    if (table.hasSrs) {
+      document.getElementById('anki-with-srs').addEventListener('change', (e) => {
+        withSrs = e.target.checked;
+        renderPreview();
+      });
+    }
+
+    document.getElementById('btn-anki-next').addEventListener('click', () => {
+      const words = Anki.toWords(table, mapping, { withSrs });
+      if (words.length === 0) {
+        showToast('「単語」として取り込むフィールドを選んでください');
+        return;
+      }
+      showImportReport(JSON.stringify({ version: 1, words }));
+    });
+  }
+
+  /**
+   * Anki 用に書き出す（.apkg は学習状況つき、.txt は内容のみ）
+   */
+  async function exportAnki(filterTags = null) {
+    const words = await VocabDB.getWordsByTags(filterTags);
+    if (words.length === 0) {
+      showToast('書き出す単語がありません');
+      return;
+    }
+    const tagSuffix = filterTags ? `-${filterTags.join('_')}` : '-all';
+    const filename = `vocabsnap${tagSuffix}-${new Date().toISOString().split('T')[0]}`;
+
+    showModal('Ankiに書き出す', `
+      <p class="text-secondary mb-8" style="font-size:13px;">
+        ${words.length}語を書き出します。フィールドは次のように対応します。
+      </p>
+      <div class="column-preview mb-8">
+        <table>
+          <thead><tr><th>VocabSnap</th><th>Anki</th></tr></thead>
+          <tbody>
+            ${Anki.EXPORT_FIELDS.map(([name, field]) => `<tr><td>${Anki.TARGET_FIELDS[field]}</td><td>${name}</td></tr>`).join('')}
+            <tr><td>タグ</td><td>Tags（空白は _ に置き換え）</td></tr>
+            <tr><td>学習状況（英→日）</td><td>カード「英→日」の間隔・次回復習</td></tr>
+            <tr><td>学習状況（日→英）</td><td>カード「日→英」の間隔・次回復習</td></tr>
+          </tbody>
+        </table>
+      </div>
+      <button class="btn btn-primary btn-block" id="btn-anki-apkg">デッキ (.apkg・学習状況つき)</button>
+      <button class="btn btn-outline btn-block mt-8" id="btn-anki-tsv">テキスト (.txt・内容のみ)</button>
+    `);
+
+    document.getElementById('btn-anki-apkg').addEventListener('click', async () => {
+      try {
+        showToast('デッキを作成しています...');
+        const deckName = filterTags ? `VocabSnap::${filterTags[0]}` : 'VocabSnap';
+        const blob = await Anki.buildPackage(words, { deckName });
+        downloadFile(blob, `${filename}.apkg`, 'application/octet-stream');
+        hideModal();
+        showToast(`${words.length}語を書き出しました`);
+      } catch (e) {
+        showToast('書き出しに失敗しました: ' + e.message);
+        console.error(e);
+      }
+    });
+
+    document.getElementById('btn-anki-tsv').addEventListener('click', () => {
+      downloadFile(Anki.buildTsv(words), `${filename}.txt`, 'text/plain');
+      hideModal();
+      showToast(`${words.length}語を書き出しました`);
+    });
+  }
+
   async function clearAllData() {
     showModal('全データ削除', `
       <p style="margin-bottom:16px; color:var(--text-secondary);">
-        すべての単語と学習データが削除されます。この操作は取り消せません。
+        すべての単語をゴミ箱に移動し、学習記録（連続学習日数など）を削除します。
+        単語は${state.trashRetentionDays}日以内ならゴミ箱から元に戻せます。学習記録を含む直前の状態はスナップショットから戻せます。
       </p>
       <div style="display:flex; gap:12px;">
         <button class="btn btn-outline" style="flex:1" onclick="App.hideModal()">キャンセル</button>
@@ -1636,11 +3385,246 @@ const App = (function () {
     document.getElementById('btn-confirm-clear').addEventListener('click', async () => {
       await VocabDB.clearAllWords();
       hideModal();
-      showToast('全データを削除しました');
+      showToast('単語をゴミ箱に移動し、学習記録を削除しました');
       await refreshHome();
     });
   }
 
+  // ===================================================
+  // ゴミ箱
+  // ===================================================
+  const TRASH_RETENTION_CHOICES = [7, 14, 30, 60, 90];
+
+  async function refreshTrash() {
+    const entries = await VocabDB.getTrash();
+    const container = document.getElementById('trash-items');
+    document.getElementById('empty-trash').classList.toggle('hidden', entries.length > 0);
+    document.getElementById('trash-bulk-actions').classList.toggle('hidden', entries.length === 0);
+    document.getElementById('trash-summary').textContent = entries.length > 0
+      ? `${entries.length}語 ・ 削除から${state.trashRetentionDays}日たつと完全に削除されます`
+      : '';
+
+    const dayMs = 24 * 60 * 60 * 1000;
+    container.innerHTML = entries.map(entry => {
+      const word = entry.word;
+      const daysLeft = Math.max(0, Math.ceil((entry.deletedAt + state.trashRetentionDays * dayMs - Date.now()) / dayMs));
+      return `
+        <div class="word-card trash-item">
+          <div class="word-info">
+            <div class="word-text">${esc(word.wordDisplay || word.word)}</div>
+            <div class="word-meaning">${esc(word.meaning)}</div>
+            <div class="trash-meta">${new Date(entry.deletedAt).toLocaleDateString('ja-JP')} に${entry.mergedInto ? '統合' : '削除'} ・ あと${daysLeft}日</div>
+          </div>
+          <div class="trash-actions">
+            <button class="btn btn-outline btn-sm" data-trash-restore="${esc(entry.id)}">戻す</button>
+            <button class="btn btn-danger btn-sm" data-trash-purge="${esc(entry.id)}">削除</button>
+          </div>
+        </div>
+      `;
+    }).join('');
+
+    container.querySelectorAll('[data-trash-restore]').forEach(btn => {
+      btn.addEventListener('click', () => restoreTrash([btn.dataset.trashRestore]));
+    });
+    container.querySelectorAll('[data-trash-purge]').forEach(btn => {
+      btn.addEventListener('click', () => confirmPurgeTrash([btn.dataset.trashPurge]));
+    });
+  }
+
+  async function restoreTrash(ids) {
+    const result = await VocabDB.restoreFromTrash(ids);
+    if (result.skipped > 0) {
+      showToast(`${result.restored}語を戻しました（同じ単語が既にある${result.skipped}語はそのままです）`, 3500);
+    } else {
+      showToast(`${result.restored}語を元に戻しました`);
+    }
+    await refreshTrash();
+  }
+
+  /**
+   * @param {Array<string>} [ids] - 省略時はゴミ箱を空にする
+   */
+  function confirmPurgeTrash(ids) {
+    showModal(ids ? '完全に削除しますか？' : 'ゴミ箱を空にしますか？', `
+      <p style="margin-bottom:16px; color:var(--text-secondary);">
+        単語と回答の記録が完全に削除されます。直前の状態はスナップショットから戻せます。
+      </p>
+      <div style="display:flex; gap:12px;">
+        <button class="btn btn-outline" style="flex:1" onclick="App.hideModal()">キャンセル</button>
+        <button class="btn btn-danger" style="flex:1" id="btn-confirm-purge">削除する</button>
+      </div>
+    `);
+
+    document.getElementById('btn-confirm-purge').addEventListener('click', async () => {
+      await VocabDB.purgeTrash(ids);
+      hideModal();
+      showToast('完全に削除しました');
+      await refreshTrash();
+    });
+  }
+
+  function changeTrashRetention() {
+    showModal('ゴミ箱の保存期間', `
+      <p class="text-secondary mb-8" style="font-size:13px;">
+        削除した単語は、この日数が過ぎると次にアプリを開いたときに完全に削除されます。
+      </p>
+      <div class="study-modes">
+        ${TRASH_RETENTION_CHOICES.map(days => `
+          <div class="settings-item" data-trash-days="${days}" style="cursor:pointer">
+            <span class="settings-label">${days}日${days === state.trashRetentionDays ? ' ✓' : ''}</span>
+          </div>
+        `).join('')}
+      </div>
+    `);
+
+    document.querySelectorAll('[data-trash-days]').forEach(item => {
+      item.addEventListener('click', async () => {
+        state.trashRetentionDays = parseInt(item.dataset.trashDays);
+        await VocabDB.setSetting('trashRetentionDays', state.trashRetentionDays);
+        document.getElementById('trash-retention-value').textContent = `${state.trashRetentionDays}日`;
+        hideModal();
+        showToast(`保存期間を${state.trashRetentionDays}日にしました`);
+      });
+    });
+  }
+
+  // ===================================================
+  // スナップショット
+  // ===================================================
+  const SNAPSHOT_KEEP_CHOICES = [3, 5, 7, 14, 30];
+
+  const SNAPSHOT_REASONS = {
+    daily: '毎日の自動保存',
+    import: '置き換えて取り込む前',
+    clear: '全データ削除の前',
+    purge: 'ゴミ箱を空にする前',
+    restore: '復元する前',
+    manual: '手動で作成'
+  };
+
+  const formatSnapshotCounts = counts =>
+    `単語${counts.words}語・ゴミ箱${counts.trash}語・回答ログ${counts.reviews}件`;
+
+  async function refreshSnapshots() {
+    const snapshots = await VocabDB.getSnapshots();
+    const container = document.getElementById('snapshot-items');
+    document.getElementById('empty-snapshots').classList.toggle('hidden', snapshots.length > 0);
+    document.getElementById('snapshot-summary').textContent =
+      `破壊的な操作の前と毎日1回、自動で保存します（新しいものから${state.snapshotKeep}件）`;
+
+    container.innerHTML = snapshots.map(s => `
+      <div class="word-card snapshot-item">
+        <div class="word-info">
+          <div class="word-text">${new Date(s.createdAt).toLocaleString('ja-JP')}</div>
+          <div class="word-meaning">${SNAPSHOT_REASONS[s.reason] || esc(s.reason)}</div>
+          <div class="trash-meta">${formatSnapshotCounts(s.counts)}</div>
+        </div>
+        <div class="trash-actions">
+          <button class="btn btn-primary btn-sm" data-snapshot-restore="${s.id}">復元</button>
+          <button class="btn btn-outline btn-sm" data-snapshot-download="${s.id}">保存</button>
+          <button class="btn btn-danger btn-sm" data-snapshot-delete="${s.id}">削除</button>
+        </div>
+      </div>
+    `).join('');
+
+    const find = id => snapshots.find(s => s.id === Number(id));
+    container.querySelectorAll('[data-snapshot-restore]').forEach(btn => {
+      btn.addEventListener('click', () => confirmRestoreSnapshot(find(btn.dataset.snapshotRestore)));
+    });
+    container.querySelectorAll('[data-snapshot-download]').forEach(btn => {
+      btn.addEventListener('click', () => downloadSnapshot(find(btn.dataset.snapshotDownload)));
+    });
+    container.querySelectorAll('[data-snapshot-delete]').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        await VocabDB.deleteSnapshot(Number(btn.dataset.snapshotDelete));
+        await refreshSnapshots();
+      });
+    });
+  }
+
+  /**
+   * スナップショットをJSONとして保存（省略時は最新）
+   * 保存したファイルは「JSONファイルから取り込み」で戻せる
+   */
+  async function downloadSnapshot(snapshot) {
+    try {
+      const json = await VocabDB.exportSnapshot(snapshot && snapshot.id);
+      const createdAt = snapshot ? snapshot.createdAt : Date.parse(JSON.parse(json).exportedAt);
+      downloadFile(json, `vocabsnap-snapshot-${new Date(createdAt).toISOString().split('T')[0]}.json`);
+    } catch (e) {
+      showToast(e.message);
+    }
+  }
+
+  /**
+   * 今のデータとスナップショットの件数を並べて確認してから復元
+   */
+  async function confirmRestoreSnapshot(snapshot) {
+    const current = {
+      words: await VocabDB.getWordCount(),
+      trash: (await VocabDB.getTrash()).length,
+      studyLogs: (await VocabDB.getStudyLogs(9999)).length,
+      reviews: (await VocabDB.getReviews()).length
+    };
+    const rows = [['words', '単語'], ['trash', 'ゴミ箱'], ['studyLogs', '学習記録'], ['reviews', '回答ログ']];
+
+    showModal('スナップショットから復元', `
+      <p class="text-secondary mb-8" style="font-size:13px;">
+        ${new Date(snapshot.createdAt).toLocaleString('ja-JP')}（${SNAPSHOT_REASONS[snapshot.reason] || esc(snapshot.reason)}）の状態に戻します。
+        今のデータは復元の前にスナップショットとして保存されます。
+      </p>
+      <div class="column-preview mb-8">
+        <table>
+          <thead><tr><th></th><th>今</th><th>復元後</th></tr></thead>
+          <tbody>
+            ${rows.map(([key, label]) => `<tr><th>${label}</th><td>${current[key]}</td><td>${snapshot.counts[key]}</td></tr>`).join('')}
+          </tbody>
+        </table>
+      </div>
+      <div style="display:flex; gap:12px;">
+        <button class="btn btn-outline" style="flex:1" onclick="App.hideModal()">キャンセル</button>
+        <button class="btn btn-primary" style="flex:1" id="btn-confirm-restore">復元する</button>
+      </div>
+    `);
+
+    document.getElementById('btn-confirm-restore').addEventListener('click', async () => {
+      try {
+        const counts = await VocabDB.restoreSnapshot(snapshot.id);
+        hideModal();
+        showToast(`${counts.words}語の状態に戻しました`);
+        await refreshSnapshots();
+        await refreshHome();
+      } catch (e) {
+        showToast('復元に失敗しました: ' + e.message);
+      }
+    });
+  }
+
+  function changeSnapshotKeep() {
+    showModal('残すスナップショットの数', `
+      <p class="text-secondary mb-8" style="font-size:13px;">
+        新しいものからこの数だけ残し、古いものは自動で削除します。
+      </p>
+      <div class="study-modes">
+        ${SNAPSHOT_KEEP_CHOICES.map(n => `
+          <div class="settings-item" data-snapshot-keep="${n}" style="cursor:pointer">
+            <span class="settings-label">${n}件${n === state.snapshotKeep ? ' ✓' : ''}</span>
+          </div>
+        `).join('')}
+      </div>
+    `);
+
+    document.querySelectorAll('[data-snapshot-keep]').forEach(item => {
+      item.addEventListener('click', async () => {
+        state.snapshotKeep = parseInt(item.dataset.snapshotKeep);
+        await VocabDB.setSnapshotKeep(state.snapshotKeep);
+        document.getElementById('snapshot-keep-value').textContent = `${state.snapshotKeep}件`;
+        hideModal();
+        showToast(`スナップショットを${state.snapshotKeep}件残します`);
+      });
+    });
+  }
+
   // ===================================================
   // 音声読み上げ【UX視点】
   // ===================================================
@@ -1663,16 +3647,25 @@ const App = (function () {
     setTimeout(() => toast.classList.remove('visible'), duration);
   }
 
-  function showModal(title, bodyHTML) {
+  /**
+   * @param {string} title
+   * @param {string} bodyHTML
+   * @param {Function} [onClose] - モーダルを閉じたとき（背景のタップを含む）に1度だけ呼ぶ
+   */
+  function showModal(title, bodyHTML, onClose = null) {
     document.getElementById('modal-body').innerHTML = `
       <div class="modal-title">${esc(title)}</div>
       ${bodyHTML}
     `;
+    state.modalOnClose = onClose;
     document.getElementById('modal-overlay').classList.add('visible');
   }
 
   function hideModal() {
     document.getElementById('modal-overlay').classList.remove('visible');
+    const onClose = state.modalOnClose;
+    state.modalOnClose = null;
+    if (onClose) onClose();
   }
 
   function shuffleArray(array) {
@@ -1752,6 +3745,19 @@ const App = (function () {
       card.addEventListener('click', () => startStudyMode(card.dataset.study));
     });
 
+    // --- 復習予測 ---
+    document.getElementById('btn-show-forecast').addEventListener('click', showForecast);
+    document.querySelectorAll('[data-forecast-days]').forEach(chip => {
+      chip.addEventListener('click', () => {
+        document.querySelectorAll('[data-forecast-days]').forEach(c => c.classList.remove('active'));
+        chip.classList.add('active');
+        state.forecastDays = parseInt(chip.dataset.forecastDays);
+        renderForecast();
+      });
+    });
+    document.getElementById('forecast-pass-rate').addEventListener('change', () => renderForecast());
+    document.getElementById('forecast-extra').addEventListener('change', () => renderForecast());
+
     // --- 学習フィルター ---
     document.querySelectorAll('[data-filter]').forEach(chip => {
       chip.addEventListener('click', () => {
@@ -1771,8 +3777,9 @@ const App = (function () {
       const word = state.studyWords[state.fcIndex];
       if (word) speak(word.word);
     });
-    document.getElementById('btn-fc-right').addEventListener('click', () => answerFlashcard(true));
-    document.getElementById('btn-fc-wrong').addEventListener('click', () => answerFlashcard(false));
+    document.querySelectorAll('[data-fc-grade]').forEach(btn => {
+      btn.addEventListener('click', () => answerFlashcard(btn.dataset.fcGrade));
+    });
 
     // フラッシュカード スワイプ
     setupSwipeGestures();
@@ -1789,8 +3796,9 @@ const App = (function () {
         speak(word.examples[0].en);
       }
     });
-    document.getElementById('btn-rd-right').addEventListener('click', () => answerReading(true));
-    document.getElementById('btn-rd-wrong').addEventListener('click', () => answerReading(false));
+    document.querySelectorAll('[data-rd-grade]').forEach(btn => {
+      btn.addEventListener('click', () => answerReading(btn.dataset.rdGrade));
+    });
 
     // 文章読解 スワイプ
     setupReadingSwipeGestures();
@@ -1818,7 +3826,8 @@ const App = (function () {
     // --- 結果画面 ---
     document.getElementById('btn-retry-study').addEventListener('click', () => {
       if (state.lastStudyMode) {
-        startStudyMode(state.lastStudyMode);
+        const target = { review: state.studyTrack, cram: state.cramTag }[state.lastStudyMode];
+        startStudyMode(state.lastStudyMode, target);
       }
     });
 
@@ -1844,6 +3853,8 @@ const App = (function () {
       refreshWordlist();
     });
 
+    document.getElementById('btn-unsuspend-all').addEventListener('click', unsuspendVisibleWords);
+
     // 単語カードクリック（イベント委譲）
     document.addEventListener('click', (e) => {
       const wordCard = e.target.closest('.word-card');
@@ -1869,6 +3880,9 @@ const App = (function () {
     document.getElementById('btn-edit-word').addEventListener('click', () => {
       if (state.currentWordId) editWordModal(state.currentWordId);
     });
+    document.getElementById('btn-toggle-suspend').addEventListener('click', () => {
+      if (state.currentWordId) toggleSuspend();
+    });
     document.getElementById('btn-edit-tags').addEventListener('click', () => {
       if (state.currentWordId) editTagsQuick(state.currentWordId);
     });
@@ -1877,7 +3891,9 @@ const App = (function () {
     document.getElementById('setting-darkmode').addEventListener('click', toggleDarkMode);
     document.getElementById('setting-auto-speak').addEventListener('click', toggleAutoSpeak);
     document.getElementById('setting-export').addEventListener('click', () => {
-      showTagPicker('JSONに保存', (filterTags) => exportData(filterTags));
+      showTagPicker('JSONに保存', (filterTags) => {
+        askExportPassphrase('JSONに保存', (passphrase) => exportData(filterTags, passphrase));
+      });
     });
     document.getElementById('setting-share').addEventListener('click', shareData);
     document.getElementById('setting-copy-text').addEventListener('click', copyAsText);
@@ -1889,8 +3905,59 @@ const App = (function () {
       importData(e.target.files[0]);
     });
     document.getElementById('setting-import-text').addEventListener('click', importFromTextModal);
+    document.getElementById('setting-import-csv').addEventListener('click', () => {
+      document.getElementById('input-import-csv').click();
+    });
+    document.getElementById('input-import-csv').addEventListener('change', (e) => {
+      importCsv(e.target.files[0]);
+    });
+    document.getElementById('setting-export-anki').addEventListener('click', () => {
+      showTagPicker('Ankiに書き出す', (filterTags) => exportAnki(filterTags));
+    });
+    document.getElementById('setting-import-anki').addEventListener('click', () => {
+      document.getElementById('input-import-anki').click();
+    });
+    document.getElementById('input-import-anki').addEventListener('change', (e) => {
+      importAnki(e.target.files[0]);
+    });
+    document.getElementById('setting-migration-backups').addEventListener('click', showMigrationBackups);
     document.getElementById('setting-clear-data').addEventListener('click', clearAllData);
+    document.getElementById('setting-trash').addEventListener('click', () => navigate('trash'));
+    document.getElementById('setting-duplicates').addEventListener('click', showDuplicateScan);
+    document.getElementById('setting-trash-retention').addEventListener('click', changeTrashRetention);
+    document.getElementById('setting-snapshots').addEventListener('click', () => navigate('snapshots'));
+    document.getElementById('setting-snapshot-download').addEventListener('click', () => downloadSnapshot());
+    document.getElementById('setting-snapshot-keep').addEventListener('click', changeSnapshotKeep);
+    document.getElementById('btn-snapshot-create').addEventListener('click', async () => {
+      await VocabDB.takeSnapshot('manual');
+      showToast('スナップショットを作成しました');
+      await refreshSnapshots();
+    });
+    document.getElementById('btn-snapshot-download-latest').addEventListener('click', () => downloadSnapshot());
+    document.getElementById('btn-trash-restore-all').addEventListener('click', async () => {
+      const entries = await VocabDB.getTrash();
+      await restoreTrash(entries.map(e => e.id));
+    });
+    document.getElementById('btn-trash-empty').addEventListener('click', () => confirmPurgeTrash());
     document.getElementById('setting-daily-goal').addEventListener('click', changeDailyGoal);
+    document.getElementById('setting-daily-limits').addEventListener('click', changeDailyLimits);
+    document.getElementById('setting-leech').addEventListener('click', changeLeechSetting);
+    document.getElementById('setting-srs-algorithm').addEventListener('click', changeSrsAlgorithm);
+    document.getElementById('setting-learning-steps').addEventListener('click', changeLearningSteps);
+    document.getElementById('setting-deck-presets').addEventListener('click', showDeckPresets);
+    document.getElementById('setting-load-balance').addEventListener('click', changeLoadBalance);
+    document.getElementById('setting-optimizer').addEventListener('click', showOptimizer);
+    document.getElementById('setting-retention').addEventListener('click', changeDesiredRetention);
+    document.getElementById('setting-exam-dates').addEventListener('click', showExamDates);
+
+    // --- キーボード操作（1〜4: 評価、Space: めくる、Ctrl+Z / U: 取り消し） ---
+    document.addEventListener('keydown', handleStudyKeydown);
+
+    // --- 回答の取り消し ---
+    document.querySelectorAll('[data-undo]').forEach(btn => {
+      btn.addEventListener('click', undoLastAnswer);
+    });
+    setupShakeToUndo();
 
     // --- モーダル ---
     document.getElementById('modal-overlay').addEventListener('click', (e) => {
@@ -1901,90 +3968,105 @@ const App = (function () {
     document.getElementById('btn-sort-words').addEventListener('click', showSortModal);
   }
 
+  function handleStudyKeydown(e) {
+    if (e.target.closest('input, textarea, select')) return;
+    if (document.getElementById('modal-overlay').classList.contains('visible')) return;
+
+    // Ctrl/Cmd+Z または U で最後の回答を取り消す
+    const isUndo = ((e.key === 'z' || e.key === 'Z') && (e.ctrlKey || e.metaKey)) || (e.key === 'u' && !e.ctrlKey && !e.metaKey);
+    if (isUndo && UNDO_SCREENS.includes(state.currentScreen)) {
+      e.preventDefault();
+      undoLastAnswer();
+      return;
+    }
+
+    const isFlashcard = state.currentScreen === 'flashcard';
+    const isReading = state.currentScreen === 'reading';
+    if (!isFlashcard && !isReading) return;
+
+    if (GRADE_KEYS[e.key]) {
+      e.preventDefault();
+      if (isFlashcard) answerFlashcard(GRADE_KEYS[e.key]);
+      else answerReading(GRADE_KEYS[e.key]);
+    } else if (e.key === ' ' || e.key === 'Enter') {
+      e.preventDefault();
+      if (isFlashcard) flipFlashcard();
+      else flipReadingCard();
+    }
+  }
+
   // ===================================================
   // スワイプジェスチャー【UX視点】
   // ===================================================
   function setupSwipeGestures() {
     const card = document.getElementById('flashcard');
     let startX = 0;
+    let startY = 0;
     let isDragging = false;
 
     card.addEventListener('touchstart', (e) => {
       startX = e.touches[0].clientX;
+      startY = e.touches[0].clientY;
       isDragging = true;
     }, { passive: true });
 
     card.addEventListener('touchmove', (e) => {
       if (!isDragging) return;
-      const diff = e.touches[0].clientX - startX;
-      if (diff > 40) {
-        card.classList.add('swiping-right');
-        card.classList.remove('swiping-left');
-      } else if (diff < -40) {
-        card.classList.add('swiping-left');
-        card.classList.remove('swiping-right');
-      } else {
-        card.classList.remove('swiping-right', 'swiping-left');
-      }
+      const grade = swipeGrade(e.touches[0].clientX - startX, e.touches[0].clientY - startY, 40);
+      card.classList.remove(...SWIPE_CLASSES);
+      if (grade) card.classList.add(GRADE_SWIPE_CLASS[grade]);
     }, { passive: true });
 
     card.addEventListener('touchend', (e) => {
       if (!isDragging) return;
       isDragging = false;
-      const endX = e.changedTouches[0].clientX;
-      const diff = endX - startX;
+      const grade = swipeGrade(e.changedTouches[0].clientX - startX, e.changedTouches[0].clientY - startY, 80);
 
-      if (Math.abs(diff) > 80) {
-        if (diff > 0) answerFlashcard(true);
-        else answerFlashcard(false);
+      if (grade) {
+        answerFlashcard(grade);
       } else {
-        card.classList.remove('swiping-right', 'swiping-left');
+        card.classList.remove(...SWIPE_CLASSES);
       }
     }, { passive: true });
   }
 
+
   // ===================================================
   // 文章読解スワイプジェスチャー
   // ===================================================
   function setupReadingSwipeGestures() {
     const card = document.getElementById('reading-card');
     let startX = 0;
+    let startY = 0;
     let isDragging = false;
 
     card.addEventListener('touchstart', (e) => {
       startX = e.touches[0].clientX;
+      startY = e.touches[0].clientY;
       isDragging = true;
     }, { passive: true });
 
     card.addEventListener('touchmove', (e) => {
       if (!isDragging) return;
-      const diff = e.touches[0].clientX - startX;
-      if (diff > 40) {
-        card.classList.add('swiping-right');
-        card.classList.remove('swiping-left');
-      } else if (diff < -40) {
-        card.classList.add('swiping-left');
-        card.classList.remove('swiping-right');
-      } else {
-        card.classList.remove('swiping-right', 'swiping-left');
-      }
+      const grade = swipeGrade(e.touches[0].clientX - startX, e.touches[0].clientY - startY, 40);
+      card.classList.remove(...SWIPE_CLASSES);
+      if (grade) card.classList.add(GRADE_SWIPE_CLASS[grade]);
     }, { passive: true });
 
     card.addEventListener('touchend', (e) => {
       if (!isDragging) return;
       isDragging = false;
-      const endX = e.changedTouches[0].clientX;
-      const diff = endX - startX;
+      const grade = swipeGrade(e.changedTouches[0].clientX - startX, e.changedTouches[0].clientY - startY, 80);
 
-      if (Math.abs(diff) > 80) {
-        if (diff > 0) answerReading(true);
-        else answerReading(false);
+      if (grade) {
+        answerReading(grade);
       } else {
-        card.classList.remove('swiping-right', 'swiping-left');
+        card.classList.remove(...SWIPE_CLASSES);
       }
     }, { passive: true });
   }
 
+
   // ===================================================
   // 追加モーダル
   // ===================================================
@@ -2137,6 +4219,633 @@ const App = (function () {
     });
   }
 
+  function formatDailyLimits() {
+    return `新規${state.newPerDay} / 復習${state.reviewsPerDay}`;
+  }
+
+  function changeDailyLimits() {
+    showModal('1日の上限', `
+      <p class="text-secondary mb-8" style="font-size:13px;">
+        「今日の復習」で1日に出題する数の上限です。期限切れの復習が新規単語より先に出題されます。
+      </p>
+      <div class="input-group">
+        <label>新規単語</label>
+        <input type="number" class="input-field" id="input-new-per-day" value="${state.newPerDay}" min="0" max="999">
+      </div>
+      <div class="input-group">
+        <label>復習</label>
+        <input type="number" class="input-field" id="input-reviews-per-day" value="${state.reviewsPerDay}" min="0" max="9999">
+      </div>
+      <button class="btn btn-primary btn-block" id="btn-save-limits">保存</button>
+    `);
+
+    document.getElementById('btn-save-limits').addEventListener('click', async () => {
+      const newPerDay = parseInt(document.getElementById('input-new-per-day').value);
+      const reviewsPerDay = parseInt(document.getElementById('input-reviews-per-day').value);
+      if (!(newPerDay >= 0 && newPerDay <= 999) || !(reviewsPerDay >= 0 && reviewsPerDay <= 9999)) {
+        showToast('上限の値が正しくありません');
+        return;
+      }
+      state.newPerDay = newPerDay;
+      state.reviewsPerDay = reviewsPerDay;
+      await VocabDB.setSetting('newPerDay', newPerDay);
+      await VocabDB.setSetting('reviewsPerDay', reviewsPerDay);
+      document.getElementById('daily-limits-value').textContent = formatDailyLimits();
+      hideModal();
+      showToast('上限を更新しました');
+    });
+  }
+
+  function formatLeechSetting() {
+    return `${state.leechThreshold}回 / ${state.leechAction === 'suspend' ? 'タグ+停止' : 'タグのみ'}`;
+  }
+
+  /**
+   * リーチ（何度も忘れる単語）の判定設定
+   */
+  function changeLeechSetting() {
+    showModal('リーチ判定', `
+      <p class="text-secondary mb-8" style="font-size:13px;">
+        覚えたはずの単語をこの回数忘れると「${esc(SRS.LEECH_TAG)}」タグを付けます。覚え方を見直すサインです。
+      </p>
+      <div class="input-group">
+        <label>忘れた回数のしきい値</label>
+        <input type="number" class="input-field" id="input-leech-threshold" value="${state.leechThreshold}" min="2" max="99">
+      </div>
+      <label style="display:flex; align-items:center; gap:8px; padding:8px 0; cursor:pointer;">
+        <input type="radio" name="leech-action" value="tag" ${state.leechAction === 'tag' ? 'checked' : ''}>
+        <span>タグを付けるだけ</span>
+      </label>
+      <label style="display:flex; align-items:center; gap:8px; padding:8px 0; cursor:pointer;">
+        <input type="radio" name="leech-action" value="suspend" ${state.leechAction === 'suspend' ? 'checked' : ''}>
+        <span>タグを付けて学習を一時停止</span>
+      </label>
+      <button class="btn btn-primary btn-block mt-8" id="btn-save-leech">保存</button>
+    `);
+
+    document.getElementById('btn-save-leech').addEventListener('click', async () => {
+      const threshold = parseInt(document.getElementById('input-leech-threshold').value);
+      if (!(threshold >= 2 && threshold <= 99)) {
+        showToast('2〜99の回数を入力してください');
+        return;
+      }
+      const checked = document.querySelector('input[name="leech-action"]:checked');
+      state.leechThreshold = threshold;
+      state.leechAction = checked ? checked.value : 'tag';
+      SRS.configure({ leechThreshold: state.leechThreshold, leechAction: state.leechAction });
+      await VocabDB.setSetting('leechThreshold', state.leechThreshold);
+      await VocabDB.setSetting('leechAction', state.leechAction);
+      document.getElementById('leech-value').textContent = formatLeechSetting();
+      hideModal();
+      showToast('リーチ判定を更新しました');
+    });
+  }
+
+  // ===================================================
+  // 試験日の設定
+  // ===================================================
+  function formatExamDates() {
+    const count = activeExams().length;
+    return count > 0 ? `${count}件` : 'なし';
+  }
+
+  function formatExam(exam) {
+    if (!exam) return '未設定';
+    const [, m, d] = exam.date.split('-').map(Number);
+    return `${m}/${d}までに${exam.minReviews}回`;
+  }
+
+  async function saveExamDates(examDates) {
+    state.examDates = examDates;
+    await VocabDB.setSetting('examDates', examDates);
+    document.getElementById('exam-dates-value').textContent = formatExamDates();
+  }
+
+  /**
+   * 詰め込み復習の記録を消す（長期の予定はもともと変えていないのでそのまま）
+   */
+  async function clearCram(tags) {
+    const words = (await VocabDB.getAllWords()).filter(w => w.cram && tags.some(t => w.cram[t]));
+    words.forEach(w => {
+      w.cram = { ...w.cram };
+      tags.forEach(t => { delete w.cram[t]; });
+    });
+    if (words.length > 0) await VocabDB.updateWords(words);
+  }
+
+  /**
+   * 試験日を過ぎたタグは通常の予定に戻す
+   */
+  async function purgeExpiredExams() {
+    const expired = Object.keys(state.examDates).filter(tag => !SRS.isExamActive(state.examDates[tag]));
+    if (expired.length === 0) return;
+    const examDates = { ...state.examDates };
+    expired.forEach(tag => { delete examDates[tag]; });
+    await saveExamDates(examDates);
+    await clearCram(expired);
+  }
+
+  /**
+   * タグに試験日を設定
+   * 【ユーザー視点】テスト範囲の章を、試験日までに必ず N 回は復習できるよう詰めて出題
+   */
+  async function showExamDates() {
+    const tags = (await VocabDB.getAllTags()).filter(t => t !== SRS.LEECH_TAG);
+    if (tags.length === 0) {
+      showToast('タグの付いた単語がありません');
+      return;
+    }
+
+    showModal('試験日', `
+      <p class="text-secondary mb-8" style="font-size:13px;">
+        試験日を設定したタグは「試験対策」で、試験日までに指定回数正解するよう間隔を詰めて出題します。ふだんの復習予定は変わりません。
+      </p>
+      <div class="study-modes">
+        ${tags.map(tag => `
+          <div class="settings-item" data-exam-tag="${esc(tag)}" style="cursor:pointer">
+            <span class="settings-label">🏷️ ${esc(tag)}</span>
+            <span class="settings-value" style="font-size:12px;">${esc(formatExam(state.examDates[tag]))}</span>
+          </div>
+        `).join('')}
+      </div>
+    `);
+
+    document.querySelectorAll('[data-exam-tag]').forEach(item => {
+      item.addEventListener('click', () => editExamDate(item.dataset.examTag));
+    });
+  }
+
+  function editExamDate(tag) {
+    const exam = state.examDates[tag];
+    const today = new Date(SRS.startOfDay());
+    const todayStr = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+
+    showModal(`🏷️ ${tag}`, `
+      <div class="input-group">
+        <label>試験日</label>
+        <input type="date" class="input-field" id="input-exam-date" value="${exam ? exam.date : ''}" min="${todayStr}">
+      </div>
+      <div class="input-group">
+        <label>試験までに正解する回数</label>
+        <input type="number" class="input-field" id="input-exam-reviews" value="${exam ? exam.minReviews : 3}" min="1" max="20">
+      </div>
+      <button class="btn btn-primary btn-block" id="btn-save-exam">保存</button>
+      ${exam ? '<button class="btn btn-outline btn-block mt-8" id="btn-delete-exam">試験日を削除</button>' : ''}
+    `);
+
+    document.getElementById('btn-save-exam').addEventListener('click', async () => {
+      const date = document.getElementById('input-exam-date').value;
+      const minReviews = parseInt(document.getElementById('input-exam-reviews').value);
+      if (!date || date < todayStr) {
+        showToast('今日以降の日付を選んでください');
+        return;
+      }
+      if (!(minReviews >= 1 && minReviews <= 20)) {
+        showToast('回数は1〜20回です');
+        return;
+      }
+      await saveExamDates({ ...state.examDates, [tag]: { date, minReviews } });
+      hideModal();
+      showToast(`「${tag}」の試験日を設定しました`);
+    });
+
+    const deleteBtn = document.getElementById('btn-delete-exam');
+    if (deleteBtn) {
+      deleteBtn.addEventListener('click', async () => {
+        const examDates = { ...state.examDates };
+        delete examDates[tag];
+        await saveExamDates(examDates);
+        await clearCram([tag]);
+        hideModal();
+        showToast(`「${tag}」の試験日を削除しました`);
+      });
+    }
+  }
+
+  // ===================================================
+  // 目標保持率
+  // ===================================================
+  const RETENTION_CHOICES = [0.8, 0.85, 0.9, 0.93, 0.95, 0.97];
+
+  function formatRetention(retention) {
+    return `${Math.round(retention * 100)}%`;
+  }
+
+  /**
+   * 目標保持率の設定（保持率ごとの1日の復習数の目安を表示）
+   * 【ユーザー視点】「テスト当日に90%覚えていたい」を直接指定できる
+   */
+  async function changeDesiredRetention() {
+    const words = await VocabDB.getAllWords();
+
+    showModal('目標保持率', `
+      <p class="text-secondary mb-8" style="font-size:13px;">
+        復習のときに思い出せる確率の目標です。高くするほど間隔が短くなり、1日の復習数が増えます。
+      </p>
+      <div class="study-modes">
+        ${RETENTION_CHOICES.map(r => `
+          <div class="settings-item" data-retention="${r}" style="cursor:pointer">
+            <span class="settings-label">${formatRetention(r)}${r === state.desiredRetention ? ' ✓' : ''}</span>
+            <span class="settings-value">約${SRS.estimateDailyReviews(words, r)}件/日</span>
+          </div>
+        `).join('')}
+      </div>
+      <div class="input-group mt-8">
+        <label>その他（70〜99%）</label>
+        <input type="number" class="input-field" id="input-retention" value="${Math.round(state.desiredRetention * 100)}" min="70" max="99">
+      </div>
+      <p class="text-secondary mb-8" style="font-size:12px;" id="retention-estimate"></p>
+      <button class="btn btn-primary btn-block" id="btn-save-retention">保存</button>
+    `);
+
+    const input = document.getElementById('input-retention');
+    const updateEstimate = () => {
+      const percent = parseInt(input.value);
+      document.getElementById('retention-estimate').textContent = percent >= 70 && percent <= 99
+        ? `${percent}% の場合: 約${SRS.estimateDailyReviews(words, percent / 100)}件/日`
+        : '';
+    };
+    input.addEventListener('input', updateEstimate);
+    updateEstimate();
+
+    const save = async (retention) => {
+      state.desiredRetention = retention;
+      SRS.configure({ desiredRetention: retention });
+      await VocabDB.setSetting('desiredRetention', retention);
+      document.getElementById('retention-value').textContent = formatRetention(retention);
+      hideModal();
+      showToast(`目標保持率を${formatRetention(retention)}にしました`);
+    };
+
+    document.querySelectorAll('[data-retention]').forEach(item => {
+      item.addEventListener('click', () => save(parseFloat(item.dataset.retention)));
+    });
+    document.getElementById('btn-save-retention').addEventListener('click', () => {
+      const percent = parseInt(input.value);
+      if (!(percent >= 70 && percent <= 99)) {
+        showToast('70〜99%の範囲で入力してください');
+        return;
+      }
+      save(percent / 100);
+    });
+  }
+
+  // ===================================================
+  // パラメータの最適化（回答履歴から FSRS の重みを当てはめる）
+  // ===================================================
+  function formatPercent(value) {
+    return `${(value * 100).toFixed(1)}%`;
+  }
+
+  function optimizerResultHTML(result) {
+    const { before, after } = result;
+    return `
+      <table class="optimizer-table">
+        <tr><th></th><th>予測</th><th>実際</th></tr>
+        <tr><td>現在のパラメータ</td><td>${formatPercent(before.predicted)}</td><td rowspan="2">${formatPercent(after.actual)}</td></tr>
+        <tr><td>最適化後</td><td>${formatPercent(after.predicted)}</td></tr>
+      </table>
+      <table class="optimizer-table mt-8">
+        <tr><th>予測の区間</th><th>件数</th><th>予測</th><th>実際</th></tr>
+        ${after.bins.filter(b => b.count > 0).map(b => `
+          <tr>
+            <td>${Math.round(b.from * 100)}〜${Math.round(b.to * 100)}%</td>
+            <td>${b.count}</td>
+            <td>${formatPercent(b.predicted)}</td>
+            <td>${formatPercent(b.actual)}</td>
+          </tr>
+        `).join('')}
+      </table>
+      <p class="text-secondary mt-8" style="font-size:12px;">
+        復習${result.samples}件で計算 ・ 予測誤差（対数損失） ${before.logLoss.toFixed(4)} → ${after.logLoss.toFixed(4)}
+      </p>
+    `;
+  }
+
+  /**
+   * 最適化の実行と適用
+   * 【ユーザー視点】計算は Web Worker で端末内だけで行い、履歴を外部に送信しない
+   */
+  function showOptimizer() {
+    showModal('パラメータの最適化', `
+      <p class="text-secondary mb-8" style="font-size:13px;">
+        あなたの回答履歴から、記憶の定着を予測するFSRSのパラメータを当てはめます。計算はこの端末の中だけで行い、履歴を外部に送信することはありません。
+      </p>
+      <div id="optimizer-result"></div>
+      <div class="progress-bar hidden mb-8" id="optimizer-progress">
+        <div class="progress-bar-fill" id="optimizer-progress-fill" style="width: 0%"></div>
+      </div>
+      <button class="btn btn-primary btn-block" id="btn-run-optimizer">最適化を実行</button>
+      <button class="btn btn-success btn-block mt-8 hidden" id="btn-apply-weights">
+        ${state.srsAlgorithm === 'fsrs' ? 'このパラメータを適用' : 'FSRSに切り替えて適用'}
+      </button>
+      ${state.fsrsWeights ? '<button class="btn btn-outline btn-block mt-8" id="btn-reset-weights">既定のパラメータに戻す</button>' : ''}
+    `);
+
+    let fitted = null;
+    const runBtn = document.getElementById('btn-run-optimizer');
+
+    runBtn.addEventListener('click', async () => {
+      runBtn.disabled = true;
+      runBtn.textContent = '計算中...';
+      document.getElementById('optimizer-progress').classList.remove('hidden');
+
+      const reviews = await VocabDB.getReviews(0);
+      if (state.optimizerWorker) state.optimizerWorker.terminate();
+      const worker = new Worker('js/optimizer-worker.js');
+      state.optimizerWorker = worker;
+
+      // 計算が終わった（失敗した）ら Worker を止めてボタンを戻す。モーダルを閉じた後なら false
+      const finish = () => {
+        worker.terminate();
+        state.optimizerWorker = null;
+        if (!document.getElementById('btn-run-optimizer')) return false;
+        document.getElementById('optimizer-progress').classList.add('hidden');
+        runBtn.disabled = false;
+        runBtn.textContent = '最適化を実行';
+        return true;
+      };
+
+      // スクリプトの読み込み失敗や Worker 内の例外（postMessage で返せないもの）
+      worker.onerror = (e) => {
+        e.preventDefault();
+        console.error('最適化 Worker エラー:', e.message);
+        if (finish()) showToast('最適化の計算に失敗しました');
+      };
+
+      worker.onmessage = (e) => {
+        const msg = e.data;
+        if (msg.type === 'progress') {
+          document.getElementById('optimizer-progress-fill').style.width = `${Math.round(msg.value * 100)}%`;
+          return;
+        }
+
+        if (!finish()) return;
+
+        if (msg.type === 'error') {
+          showToast(msg.message);
+          return;
+        }
+        fitted = msg.result.weights;
+        document.getElementById('optimizer-result').innerHTML = optimizerResultHTML(msg.result);
+        document.getElementById('btn-apply-weights').classList.remove('hidden');
+      };
+      worker.postMessage({ reviews, weights: state.fsrsWeights });
+    });
+
+    document.getElementById('btn-apply-weights').addEventListener('click', async () => {
+      if (!fitted) return;
+      try {
+        state.fsrsWeights = fitted;
+        SRS.configure({ weights: fitted });
+        await VocabDB.setSetting('fsrsWeights', fitted);
+        if (state.srsAlgorithm !== 'fsrs') await setSrsAlgorithm('fsrs');
+        document.getElementById('optimizer-value').textContent = '最適化済み';
+        hideModal();
+        showToast('最適化したパラメータを適用しました');
+      } catch (e) {
+        showToast('適用に失敗しました');
+        console.error(e);
+      }
+    });
+
+    const resetBtn = document.getElementById('btn-reset-weights');
+    if (resetBtn) {
+      resetBtn.addEventListener('click', async () => {
+        state.fsrsWeights = null;
+        SRS.configure({ weights: SRS.DEFAULT_WEIGHTS });
+        await VocabDB.setSetting('fsrsWeights', null);
+        document.getElementById('optimizer-value').textContent = '既定';
+        hideModal();
+        showToast('既定のパラメータに戻しました');
+      });
+    }
+  }
+
+  // ===================================================
+  // 復習日の分散（ばらつき・負荷分散）
+  // ===================================================
+  function formatLoadBalance(fuzz, loadBalance) {
+    if (!fuzz) return 'オフ';
+    return loadBalance ? 'ばらつき+負荷分散' : 'ばらつきのみ';
+  }
+
+  /**
+   * 今後30日の復習件数を棒グラフで表示（今日の復習で増える分を色分け）
+   */
+  function renderWorkloadChart(preview) {
+    const totals = preview.days.map(d => d.scheduled + d.added);
+    const max = Math.max(1, ...totals);
+    const average = totals.reduce((sum, n) => sum + n, 0) / totals.length;
+
+    document.getElementById('workload-chart').innerHTML = preview.days.map(d => `
+      <div class="workload-bar" title="${new Date(d.date).toLocaleDateString('ja-JP')}: ${d.scheduled + d.added}件">
+        <div class="workload-added" style="height:${d.added / max * 100}%"></div>
+        <div class="workload-scheduled" style="height:${d.scheduled / max * 100}%"></div>
+      </div>
+    `).join('');
+    document.getElementById('workload-summary').textContent =
+      `今日の復習 ${preview.dueToday}件 を正解した場合 ・ 最大 ${Math.max(...totals)}件/日 ・ 平均 ${average.toFixed(1)}件/日`;
+  }
+
+  /**
+   * 間隔のばらつきと負荷分散の設定（結果の負荷をプレビュー）
+   * 【ユーザー視点】写真1枚から登録した単語がいつまでも同じ日にまとめて出題されないようにする
+   */
+  async function changeLoadBalance() {
+    const words = await VocabDB.getAllWords();
+    let fuzz = state.intervalFuzz;
+    let loadBalance = state.loadBalance;
+
+    showModal('復習日の分散', `
+      <p class="text-secondary mb-8" style="font-size:13px;">
+        3日以上の間隔を前後数日に散らし、予定の少ない日を優先して1日の復習数をならします。
+      </p>
+      <div class="settings-item">
+        <span class="settings-label">間隔にばらつきを付ける</span>
+        <button class="toggle" id="toggle-fuzz"></button>
+      </div>
+      <div class="settings-item">
+        <span class="settings-label">予定の少ない日に寄せる</span>
+        <button class="toggle" id="toggle-load-balance"></button>
+      </div>
+      <div class="section-title mt-16">今後30日の復習予定</div>
+      <div class="workload-chart" id="workload-chart"></div>
+      <p class="text-secondary mt-8" style="font-size:12px;" id="workload-summary"></p>
+      <button class="btn btn-primary btn-block mt-16" id="btn-save-load-balance">保存</button>
+    `);
+
+    const render = () => {
+      document.getElementById('toggle-fuzz').classList.toggle('active', fuzz);
+      document.getElementById('toggle-load-balance').classList.toggle('active', fuzz && loadBalance);
+      document.getElementById('toggle-load-balance').disabled = !fuzz;
+      renderWorkloadChart(SRS.previewWorkload(words, { fuzz, loadBalance }));
+    };
+    render();
+
+    document.getElementById('toggle-fuzz').addEventListener('click', () => {
+      fuzz = !fuzz;
+      render();
+    });
+    document.getElementById('toggle-load-balance').addEventListener('click', () => {
+      loadBalance = !loadBalance;
+      render();
+    });
+
+    document.getElementById('btn-save-load-balance').addEventListener('click', async () => {
+      state.intervalFuzz = fuzz;
+      state.loadBalance = loadBalance;
+      SRS.configure({ fuzz, loadBalance });
+      await VocabDB.setSetting('intervalFuzz', fuzz);
+      await VocabDB.setSetting('loadBalance', loadBalance);
+      document.getElementById('load-balance-value').textContent = formatLoadBalance(fuzz, loadBalance);
+      hideModal();
+      showToast('復習日の分散を更新しました');
+    });
+  }
+
+  // ===================================================
+  // タグ別プリセット（デッキ設定）
+  // ===================================================
+  function formatDeckPresets() {
+    const count = Object.keys(state.deckPresets).length;
+    return count > 0 ? `${count}件` : 'なし';
+  }
+
+  function formatPreset(preset) {
+    if (!preset) return '全体設定';
+    const parts = [];
+    if (preset.newPerDay != null) parts.push(`新規${preset.newPerDay}`);
+    if (preset.learningSteps) parts.push(formatSteps(preset.learningSteps));
+    if (preset.maxInterval != null) parts.push(`最大${preset.maxInterval}日`);
+    if (preset.startingEase != null) parts.push(`容易度${preset.startingEase}`);
+    if (preset.desiredRetention != null) parts.push(`保持率${Math.round(preset.desiredRetention * 100)}%`);
+    return parts.join(' / ') || '全体設定';
+  }
+
+  /**
+   * タグ一覧からプリセットを編集するタグを選ぶ
+   * 【ユーザー視点】テスト範囲の章は短い間隔、長期の単語帳は長い間隔と使い分けられる
+   */
+  async function showDeckPresets() {
+    const tags = (await VocabDB.getAllTags()).filter(t => t !== SRS.LEECH_TAG);
+    if (tags.length === 0) {
+      showToast('タグの付いた単語がありません');
+      return;
+    }
+
+    showModal('タグ別の出題設定', `
+      <p class="text-secondary mb-8" style="font-size:13px;">
+        タグにプリセットを設定すると、そのタグの単語は全体設定の代わりにプリセットで出題されます。複数ある場合は単語の最初のタグが優先されます。
+      </p>
+      <div class="study-modes">
+        ${tags.map(tag => `
+          <div class="settings-item" data-preset-tag="${esc(tag)}" style="cursor:pointer">
+            <span class="settings-label">🏷️ ${esc(tag)}</span>
+            <span class="settings-value" style="font-size:12px;">${esc(formatPreset(state.deckPresets[tag]))}</span>
+          </div>
+        `).join('')}
+      </div>
+    `);
+
+    document.querySelectorAll('[data-preset-tag]').forEach(item => {
+      item.addEventListener('click', () => editDeckPreset(item.dataset.presetTag));
+    });
+  }
+
+  /**
+   * タグのプリセットを編集（空欄の項目は全体設定を使う）
+   */
+  function editDeckPreset(tag) {
+    const preset = state.deckPresets[tag] || {};
+    const value = v => (v === undefined || v === null ? '' : v);
+
+    showModal(`🏷️ ${tag}`, `
+      <p class="text-secondary mb-8" style="font-size:13px;">
+        空欄の項目は全体設定を使います。
+      </p>
+      <div class="input-group">
+        <label>1日の新規単語</label>
+        <input type="number" class="input-field" id="input-preset-new" value="${value(preset.newPerDay)}" min="0" max="999" placeholder="${state.newPerDay}">
+      </div>
+      <div class="input-group">
+        <label>学習ステップ（分、スペース区切り）</label>
+        <input type="text" class="input-field" id="input-preset-steps" value="${esc(preset.learningSteps ? preset.learningSteps.join(' ') : '')}" placeholder="${esc(state.learningSteps.join(' '))}">
+      </div>
+      <div class="input-group">
+        <label>最大間隔（日）</label>
+        <input type="number" class="input-field" id="input-preset-max" value="${value(preset.maxInterval)}" min="1" max="36500" placeholder="36500">
+      </div>
+      <div class="input-group">
+        <label>初期容易度（SM-2、1.3〜5.0）</label>
+        <input type="number" class="input-field" id="input-preset-ease" value="${value(preset.startingEase)}" min="1.3" max="5" step="0.05" placeholder="2.5">
+      </div>
+      <div class="input-group">
+        <label>目標保持率（%）</label>
+        <input type="number" class="input-field" id="input-preset-retention" value="${preset.desiredRetention ? Math.round(preset.desiredRetention * 100) : ''}" min="70" max="99" placeholder="90">
+      </div>
+      <button class="btn btn-primary btn-block" id="btn-save-preset">保存</button>
+      ${state.deckPresets[tag] ? '<button class="btn btn-outline btn-block mt-8" id="btn-delete-preset">プリセットを削除</button>' : ''}
+    `);
+
+    document.getElementById('btn-save-preset').addEventListener('click', async () => {
+      const read = id => document.getElementById(id).value.trim();
+      const next = {};
+      let error = null;
+
+      if (read('input-preset-new')) {
+        next.newPerDay = parseInt(read('input-preset-new'));
+        if (!(next.newPerDay >= 0 && next.newPerDay <= 999)) error = '新規単語数が正しくありません';
+      }
+      if (read('input-preset-steps')) {
+        next.learningSteps = parseSteps(read('input-preset-steps'));
+        if (!next.learningSteps) error = '1〜1439の分数を入力してください';
+      }
+      if (read('input-preset-max')) {
+        next.maxInterval = parseInt(read('input-preset-max'));
+        if (!(next.maxInterval >= 1 && next.maxInterval <= 36500)) error = '最大間隔は1〜36500日です';
+      }
+      if (read('input-preset-ease')) {
+        next.startingEase = parseFloat(read('input-preset-ease'));
+        if (!(next.startingEase >= 1.3 && next.startingEase <= 5)) error = '初期容易度は1.3〜5.0です';
+      }
+      if (read('input-preset-retention')) {
+        const percent = parseInt(read('input-preset-retention'));
+        if (!(percent >= 70 && percent <= 99)) error = '目標保持率は70〜99%です';
+        next.desiredRetention = percent / 100;
+      }
+      if (error) {
+        showToast(error);
+        return;
+      }
+
+      const presets = { ...state.deckPresets };
+      if (Object.keys(next).length > 0) presets[tag] = next;
+      else delete presets[tag];
+      await saveDeckPresets(presets);
+      hideModal();
+      showToast(`「${tag}」の出題設定を保存しました`);
+    });
+
+    const deleteBtn = document.getElementById('btn-delete-preset');
+    if (deleteBtn) {
+      deleteBtn.addEventListener('click', async () => {
+        const presets = { ...state.deckPresets };
+        delete presets[tag];
+        await saveDeckPresets(presets);
+        hideModal();
+        showToast(`「${tag}」のプリセットを削除しました`);
+      });
+    }
+  }
+
+  async function saveDeckPresets(presets) {
+    state.deckPresets = presets;
+    SRS.configure({ presets });
+    await VocabDB.setSetting('deckPresets', presets);
+    document.getElementById('deck-presets-value').textContent = formatDeckPresets();
+  }
+
   function showSortModal() {
     showModal('並び替え', `
       <div class="study-modes">
@@ -0,0 +1,201 @@
+/* ======================================================
+   BackupCrypto - パスワード付きバックアップの暗号化
+   ======================================================
+   【アーキテクト視点】
+   - Web Crypto のみを使う（PBKDF2-SHA256 で鍵を作り、AES-GCM で暗号化）
+   - ファイルは JSON の封筒形式。ソルト・IV・反復回数を持つので、将来回数を上げても古いファイルが読める
+   - 失敗の理由を分けて報告するため、3段階で確かめる
+     1. checksum（鍵なしの SHA-256）… 転送中の破損や手での書き換え
+     2. verifier（パスワードから作った値）… パスワード違い
+     3. AES-GCM の認証タグ（ヘッダーも追加データとして含む）… 意図的な改ざん
+
+   【ユーザー視点】
+   - LINE などで送ったバックアップを他の人が開いても、メモや単語は読めない
+   ====================================================== */
+
+const BackupCrypto = (function () {
+  'use strict';
+
+  const FORMAT = 'vocabsnap-encrypted';
+  const VERSION = 1;
+  const ITERATIONS = 310000; // PBKDF2-HMAC-SHA256 の推奨値
+  const MAX_ITERATIONS = 10000000;
+  const SALT_BYTES = 16;
+  const IV_BYTES = 12;
+  const MIN_PASSPHRASE_LENGTH = 8;
+
+  const encoder = new TextEncoder();
+
+  function toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  function fromBase64(text) {
+    if (typeof text !== 'string' || !text) throw new Error('empty');
+    return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+  }
+
+  async function sha256(bytes) {
+    return new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+  }
+
+  function sameBytes(a, b) {
+    if (a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i];
+    return diff === 0;
+  }
+
+  /**
+   * ヘッダーを決まった順序で文字列に（AES-GCM の追加データと checksum に使う）
+   */
+  function canonicalHeader(envelope) {
+    return JSON.stringify({
+      format: envelope.format,
+      version: envelope.version,
+      kdf: {
+        name: envelope.kdf.name,
+        hash: envelope.kdf.hash,
+        iterations: envelope.kdf.iterations,
+        salt: envelope.kdf.salt
+      },
+      cipher: { name: envelope.cipher.name, iv: envelope.cipher.iv },
+      verifier: envelope.verifier
+    });
+  }
+
+  const checksumOf = envelope => sha256(encoder.encode(`${canonicalHeader(envelope)}.${envelope.data}`));
+
+  /**
+   * パスワードから AES 鍵と確認用の値を作る
+   * 512bit を導出し、前半を鍵、後半のハッシュを verifier にする（verifier から鍵は求められない）
+   */
+  async function deriveKeys(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+      'raw', encoder.encode(passphrase.normalize('NFC')), 'PBKDF2', false, ['deriveBits']
+    );
+    const bits = new Uint8Array(await crypto.subtle.deriveBits(
+      { name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, material, 512
+    ));
+    const key = await crypto.subtle.importKey('raw', bits.slice(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt']);
+    const verifier = await sha256(bits.slice(32));
+    return { key, verifier };
+  }
+
+  /**
+   * 暗号化されたバックアップか（中身を全部パースせずに先頭だけ見る）
+   * @param {string} text
+   */
+  function isEncrypted(text) {
+    return typeof text === 'string' &&
+      /^\s*\{\s*"format"\s*:\s*"vocabsnap-encrypted"/.test(text.slice(0, 200));
+  }
+
+  /**
+   * エクスポートした JSON をパスワードで暗号化
+   * @param {string} json - VocabDB.exportData の結果
+   * @param {string} passphrase
+   * @returns {Promise<string>} 暗号化ファイルの中身（JSON）
+   */
+  async function encrypt(json, passphrase) {
+    if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      throw new Error(`パスワードは${MIN_PASSPHRASE_LENGTH}文字以上にしてください`);
+    }
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const { key, verifier } = await deriveKeys(passphrase, salt, ITERATIONS);
+
+    const envelope = {
+      format: FORMAT,
+      version: VERSION,
+      kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: ITERATIONS, salt: toBase64(salt) },
+      cipher: { name: 'AES-GCM', iv: toBase64(iv) },
+      verifier: toBase64(verifier)
+    };
+    const data = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: encoder.encode(canonicalHeader(envelope)) },
+      key,
+      encoder.encode(json)
+    );
+    envelope.data = toBase64(new Uint8Array(data));
+    envelope.checksum = toBase64(await checksumOf(envelope));
+    return JSON.stringify(envelope, null, 2);
+  }
+
+  /**
+   * 封筒の形を確かめ、バイト列に戻す
+   */
+  function readEnvelope(text) {
+    const broken = () => new Error('暗号化ファイルの形式が正しくありません。ファイルが壊れている可能性があります');
+    let envelope;
+    try {
+      envelope = JSON.parse(text);
+    } catch (e) {
+      throw broken();
+    }
+    if (!envelope || envelope.format !== FORMAT || !envelope.kdf || !envelope.cipher) throw broken();
+    if (typeof envelope.version !== 'number' || envelope.version > VERSION) {
+      throw new Error('このファイルは新しいバージョンのアプリで暗号化されています。アプリを更新してください');
+    }
+    const { kdf, cipher } = envelope;
+    if (kdf.name !== 'PBKDF2' || kdf.hash !== 'SHA-256' || cipher.name !== 'AES-GCM' ||
+        !Number.isInteger(kdf.iterations) || kdf.iterations < 1 || kdf.iterations > MAX_ITERATIONS) {
+      throw broken();
+    }
+    try {
+      return {
+        envelope,
+        salt: fromBase64(kdf.salt),
+        iv: fromBase64(cipher.iv),
+        verifier: fromBase64(envelope.verifier),
+        data: fromBase64(envelope.data),
+        checksum: fromBase64(envelope.checksum)
+      };
+    } catch (e) {
+      throw broken();
+    }
+  }
+
+  /**
+   * 暗号化ファイルを復号
+   * @param {string} text - 暗号化ファイルの中身
+   * @param {string} passphrase
+   * @returns {Promise<string>} 元の JSON
+   */
+  async function decrypt(text, passphrase) {
+    const { envelope, salt, iv, verifier, data, checksum } = readEnvelope(text);
+
+    if (!sameBytes(await checksumOf(envelope), checksum)) {
+      throw new Error('ファイルが壊れているか、書き換えられています。送ってもらった元のファイルを使ってください');
+    }
+
+    const keys = await deriveKeys(passphrase || '', salt, envelope.kdf.iterations);
+    if (!sameBytes(keys.verifier, verifier)) {
+      throw new Error('パスワードが違います');
+    }
+
+    let plain;
+    try {
+      plain = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv, additionalData: encoder.encode(canonicalHeader(envelope)) },
+        keys.key,
+        data
+      );
+    } catch (e) {
+      // パスワードは合っているのに認証タグが一致しない = 中身が改ざんされている
+      throw new Error('ファイルが改ざんされているため復号できません');
+    }
+    return new TextDecoder().decode(plain);
+  }
+
+  return {
+    MIN_PASSPHRASE_LENGTH,
+    isEncrypted,
+    encrypt,
+    decrypt
+  };
+})();
@@ -0,0 +1,231 @@
+/* ======================================================
+   CSV - CSV/TSV の読み込みと列の対応付け
+   ======================================================
+   【アーキテクト視点】
+   - 引用符で囲まれたフィールド（区切り文字・改行・"" を含む）と UTF-8 の BOM に対応
+   - Excel で保存した Shift_JIS のファイルも文字コードを判定して読む
+   - 各レコードに元ファイルの行番号を持たせ、取り込めない行をそのまま報告できるようにする
+
+   【ユーザー視点】
+   - 学校の単語リストをスプレッドシートから書き出せば、列を選ぶだけで取り込める
+   ====================================================== */
+
+const CSV = (function () {
+  'use strict';
+
+  // 列の取り込み先（'' は取り込まない）
+  const TARGET_FIELDS = {
+    word: '単語',
+    meaning: '意味',
+    phonetic: '発音記号',
+    pos: '品詞',
+    examples: '例文',
+    exampleJa: '例文の訳',
+    synonyms: '類義語',
+    antonyms: '対義語',
+    tags: 'タグ',
+    memo: 'メモ',
+    '': '取り込まない'
+  };
+
+  // 見出しから取り込み先を推測
+  const HEADER_GUESSES = [
+    ['word', /^(word|english|term|vocab|front|英単語|単語|英語|見出し語)/i],
+    ['meaning', /^(meaning|japanese|definition|translation|back|意味|日本語|訳|和訳)/i],
+    ['phonetic', /^(phonetic|pronunciation|ipa|発音)/i],
+    ['pos', /^(pos|part.?of.?speech|品詞)/i],
+    ['exampleJa', /^(例文の?訳|例文和訳|example.?(ja|translation))/i],
+    ['examples', /^(example|sentence|例文|用例)/i],
+    ['synonyms', /^(synonym|類義語|同義語)/i],
+    ['antonyms', /^(antonym|対義語|反意語)/i],
+    ['tags', /^(tag|category|unit|chapter|タグ|分類|章|単元)/i],
+    ['memo', /^(memo|note|comment|メモ|備考)/i]
+  ];
+
+  const LIST_SEPARATOR = /[,、;；]/;
+
+  /**
+   * ファイルの中身を文字列に（UTF-8 として読めなければ Shift_JIS）
+   * @param {ArrayBuffer} buffer
+   * @returns {string}
+   */
+  function decode(buffer) {
+    try {
+      return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    } catch (e) {
+      return new TextDecoder('shift_jis').decode(buffer);
+    }
+  }
+
+  /**
+   * 区切り文字を推測（先頭の数行で最も多く、行ごとの数がそろっているもの）
+   */
+  function detectDelimiter(text) {
+    const lines = text.split(/\r?\n/).filter(l => l.trim()).slice(0, 10);
+    let best = { delimiter: ',', score: 0 };
+    ['\t', ',', ';'].forEach(delimiter => {
+      const counts = lines.map(l => l.split(delimiter).length - 1);
+      const min = Math.min(...counts);
+      if (min > best.score) best = { delimiter, score: min };
+    });
+    return best.delimiter;
+  }
+
+  /**
+   * CSV/TSV を読む
+   * @param {string} text
+   * @param {string} [delimiter] - 省略時は推測
+   * @returns {{ delimiter: string, records: Array<{ line: number, cells: string[] }>, errors: Array<{ line: number, reason: string }> }}
+   *   line は元のテキストでレコードが始まる行（1始まり）。空行は含めない
+   */
+  function parse(text, delimiter) {
+    text = text.replace(/^\uFEFF/, '');
+    if (!delimiter) delimiter = detectDelimiter(text);
+
+    const records = [];
+    const errors = [];
+    let cells = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let start = 1;
+
+    const endRecord = () => {
+      cells.push(field);
+      if (cells.some(c => c.trim())) records.push({ line: start, cells });
+      cells = [];
+      field = '';
+    };
+
+    for (let i = 0; i < text.length; i++) {
+      const c = text[i];
+      if (quoted) {
+        if (c === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (c === '"') {
+          quoted = false;
+        } else if (c === '\r' && text[i + 1] === '\n') {
+          continue; // 改行は \n にそろえる
+        } else {
+          if (c === '\n') line++;
+          field += c;
+        }
+      } else if (c === '"' && field.trim() === '') {
+        quoted = true;
+        field = '';
+      } else if (c === delimiter) {
+        cells.push(field);
+        field = '';
+      } else if (c === '\n' || c === '\r') {
+        if (c === '\r' && text[i + 1] === '\n') i++;
+        endRecord();
+        line++;
+        start = line;
+      } else {
+        field += c;
+      }
+    }
+
+    if (quoted) {
+      // 閉じていない引用符以降は1つのフィールドに飲み込まれているので、その行ごと報告する
+      errors.push({ line: start, reason: '引用符 (") が閉じられていません' });
+    } else if (field !== '' || cells.length > 0) {
+      endRecord();
+    }
+    return { delimiter, records, errors };
+  }
+
+  /**
+   * 1行目が見出しらしいか（既知の列名を含む）
+   */
+  function looksLikeHeader(cells) {
+    return cells.some(cell => HEADER_GUESSES.some(([, pattern]) => pattern.test(cell.trim())));
+  }
+
+  /**
+   * 列の取り込み先を推測（見出しがなければ 1列目 = 単語、2列目 = 意味）
+   * @param {string[]|null} headers - 見出し行（なければ null）
+   * @param {number} width - 列の数
+   * @returns {string[]} 列ごとの取り込み先
+   */
+  function guessMapping(headers, width) {
+    const mapping = new Array(width).fill('');
+    const used = new Set();
+    if (headers) {
+      headers.forEach((name, i) => {
+        const guess = HEADER_GUESSES.find(([target, pattern]) => !used.has(target) && pattern.test(name.trim()));
+        if (guess) {
+          mapping[i] = guess[0];
+          used.add(guess[0]);
+        }
+      });
+    }
+    ['word', 'meaning'].forEach(target => {
+      if (used.has(target)) return;
+      const free = mapping.findIndex(m => !m);
+      if (free >= 0) {
+        mapping[free] = target;
+        used.add(target);
+      }
+    });
+    return mapping;
+  }
+
+  const splitList = value => value.split(LIST_SEPARATOR).map(s => s.trim()).filter(Boolean);
+
+  /**
+   * レコードを対応付けに従って単語データにする
+   * @param {Array} records - parse の records（見出し行は除いておく）
+   * @param {string[]} mapping - 列ごとの取り込み先
+   * @returns {{ words: Array, errors: Array<{ line: number, reason: string, text: string }> }}
+   */
+  function toWords(records, mapping) {
+    const words = [];
+    const errors = [];
+
+    records.forEach(({ line, cells }) => {
+      const value = {};
+      cells.forEach((cell, i) => {
+        const target = mapping[i];
+        const text = cell.trim();
+        if (!target || !text) return;
+        value[target] = value[target] ? `${value[target]}\n${text}` : text;
+      });
+
+      const reject = reason => errors.push({ line, reason, text: cells.join(' | ').replace(/[\s|]+$/, '') });
+      if (!value.word) return reject('単語の列が空です');
+      if (!/[a-zA-Z]/.test(value.word)) return reject('単語に英字が含まれていません');
+      if (!value.meaning) return reject('意味の列が空です');
+
+      const examples = (value.examples || '').split('\n').filter(Boolean).map(en => ({ en, ja: '' }));
+      const translations = (value.exampleJa || '').split('\n').filter(Boolean);
+      translations.forEach((ja, i) => {
+        if (examples[i]) examples[i].ja = ja;
+      });
+
+      words.push({
+        word: value.word,
+        meaning: value.meaning.replace(/\n/g, '；'),
+        phonetic: (value.phonetic || '').replace(/^[[/]|[\]/]$/g, ''),
+        pos: value.pos || '',
+        examples,
+        synonyms: splitList(value.synonyms || ''),
+        antonyms: splitList(value.antonyms || ''),
+        tags: splitList(value.tags || ''),
+        memo: value.memo || ''
+      });
+    });
+
+    return { words, errors };
+  }
+
+  return {
+    TARGET_FIELDS,
+    decode,
+    parse,
+    looksLikeHeader,
+    guessMapping,
+    toWords
+  };
+})();
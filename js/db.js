@@ -5,6 +5,8 @@
    - IndexedDB でオフラインファーストのデータ永続化
    - Promise ベースの非同期API
    - エクスポート/インポートでデータ可搬性を確保
+   - スキーマはバージョンごとの移行手順で段階的に更新（移行前に自動バックアップ）
+   - 置き換えの取り込み・全削除などの前と毎日、スナップショットを自動保存
    
    【セキュリティ視点】
    - ユーザーデータはローカルのみに保存、外部送信なし
@@ -15,49 +17,549 @@ const VocabDB = (function () {
   'use strict';
 
   const DB_NAME = 'vocabsnap';
-  const DB_VERSION = 1;
+  const DB_VERSION = 9;
+  const BACKUP_DB_NAME = 'vocabsnap-backups';
+  const MAX_MIGRATION_BACKUPS = 3;
   let db = null;
 
-  // --- 初期化 ---
-  function init() {
-    return new Promise((resolve, reject) => {
-      const request = indexedDB.open(DB_NAME, DB_VERSION);
-
-      request.onupgradeneeded = (event) => {
-        const database = event.target.result;
+  const DEFAULT_STATS = {
+    flashcardCorrect: 0,
+    flashcardIncorrect: 0,
+    spellingCorrect: 0,
+    spellingIncorrect: 0,
+    matchingCorrect: 0,
+    matchingIncorrect: 0
+  };
 
+  /**
+   * スキーマ移行手順（バージョンの古い順に、必要なものだけ順番に実行）
+   * - schema(database, tx): ストア・インデックスの作成
+   * - records: { ストア名: 変換関数(レコード, tx) } 既存レコードを1件ずつ変換（undefined を返したら変更なし）
+   * すべて1つの versionchange トランザクション内で実行するので、途中で失敗すれば旧バージョンのまま残る
+   */
+  const MIGRATIONS = [
+    {
+      version: 1,
+      schema(database) {
         // 単語ストア
-        if (!database.objectStoreNames.contains('words')) {
-          const wordStore = database.createObjectStore('words', { keyPath: 'id' });
-          wordStore.createIndex('word', 'word', { unique: false });
-          wordStore.createIndex('createdAt', 'createdAt', { unique: false });
-          wordStore.createIndex('bookmarked', 'bookmarked', { unique: false });
-        }
+        const wordStore = database.createObjectStore('words', { keyPath: 'id' });
+        wordStore.createIndex('word', 'word', { unique: false });
+        wordStore.createIndex('createdAt', 'createdAt', { unique: false });
+        wordStore.createIndex('bookmarked', 'bookmarked', { unique: false });
 
         // 学習ログストア
-        if (!database.objectStoreNames.contains('studyLogs')) {
-          const logStore = database.createObjectStore('studyLogs', { keyPath: 'id', autoIncrement: true });
-          logStore.createIndex('date', 'date', { unique: false });
-          logStore.createIndex('type', 'type', { unique: false });
-        }
+        const logStore = database.createObjectStore('studyLogs', { keyPath: 'id', autoIncrement: true });
+        logStore.createIndex('date', 'date', { unique: false });
+        logStore.createIndex('type', 'type', { unique: false });
 
         // 設定ストア
-        if (!database.objectStoreNames.contains('settings')) {
-          database.createObjectStore('settings', { keyPath: 'key' });
+        database.createObjectStore('settings', { keyPath: 'key' });
+      }
+    },
+    {
+      version: 2,
+      schema(database) {
+        // 回答ログストア（1回答ごとの履歴。取り消し・グラフ・アルゴリズム調整の元データ）
+        const reviewStore = database.createObjectStore('reviews', { keyPath: 'id', autoIncrement: true });
+        reviewStore.createIndex('wordId', 'wordId', { unique: false });
+        reviewStore.createIndex('timestamp', 'timestamp', { unique: false });
+        reviewStore.createIndex('mode', 'mode', { unique: false });
+      }
+    },
+    {
+      version: 3,
+      records: {
+        // 読み込み時に補っていた欠落フィールド（学習段階・スキル別SRS・詰め込み復習など）を保存データに反映
+        words: upgradeWordV3
+      }
+    },
+    {
+      version: 4,
+      schema(database, tx) {
+        // 期限・学習段階をトラック別に索引し、一覧を読み込まずに範囲検索する
+        const wordStore = tx.objectStore('words');
+        Object.entries(TRACK_KEY_PATHS).forEach(([track, keyPath]) => {
+          wordStore.createIndex(`${track}.nextReview`, `${keyPath}.nextReview`, { unique: false });
+          wordStore.createIndex(`${track}.phase`, `${keyPath}.phase`, { unique: false });
+        });
+        wordStore.createIndex('interval', 'srs.interval', { unique: false });
+        // 真偽値はキーにできないため bookmarked の索引は使えなかった。ブックマーク日時で置き換える
+        wordStore.deleteIndex('bookmarked');
+        wordStore.createIndex('bookmarkedAt', 'bookmarkedAt', { unique: false });
+      },
+      records: {
+        words: word => (word.bookmarked ? withIndexFields({ ...word }) : undefined)
+      }
+    },
+    {
+      version: 5,
+      schema(database) {
+        // ゴミ箱（削除した単語を回答ログごと保管し、保存期間を過ぎたら完全に削除）
+        const trashStore = database.createObjectStore('trash', { keyPath: 'id' });
+        trashStore.createIndex('deletedAt', 'deletedAt', { unique: false });
+      }
+    },
+    {
+      version: 6,
+      schema(database) {
+        // 単語ごとの編集履歴（変更したフィールドの変更前後だけを保存）
+        const revisionStore = database.createObjectStore('revisions', { keyPath: 'id', autoIncrement: true });
+        revisionStore.createIndex('wordId', 'wordId', { unique: false });
+      }
+    },
+    {
+      version: 7,
+      schema(database) {
+        // 破壊的な操作の前と毎日のスナップショット（新しいものから設定の件数だけ残す）
+        const snapshotStore = database.createObjectStore('snapshots', { keyPath: 'id', autoIncrement: true });
+        snapshotStore.createIndex('createdAt', 'createdAt', { unique: false });
+      }
+    },
+    {
+      version: 8,
+      schema(database, tx) {
+        // 学習画面の件数を単語を読み込まずに数え、タグの単語を索引から引く
+        const wordStore = tx.objectStore('words');
+        wordStore.createIndex('suspendedAt', 'suspendedAt', { unique: false });
+        wordStore.createIndex('readable', 'readable', { unique: false });
+        wordStore.createIndex('tags', 'tags', { unique: false, multiEntry: true });
+        // 未学習の単語を登録順に必要な数だけ取り出す（一時停止中の単語は queuedAt がなく載らない）
+        Object.entries(TRACK_KEY_PATHS).forEach(([track, keyPath]) => {
+          wordStore.createIndex(`${track}.newQueue`, [`${keyPath}.phase`, 'queuedAt'], { unique: false });
+        });
+      },
+      records: {
+        words: word => withIndexFields({ ...word })
+      }
+    },
+    {
+      version: 9,
+      schema(database) {
+        // スナップショットのデータ本体を別ストアに分け、一覧を表示するときに読み込まない
+        database.createObjectStore('snapshotData', { keyPath: 'id' });
+      },
+      records: {
+        snapshots: (snapshot, tx) => {
+          if (!snapshot.stores) return undefined;
+          const { stores, ...meta } = snapshot;
+          tx.objectStore('snapshotData').put({ id: snapshot.id, stores });
+          return meta;
         }
-      };
+      }
+    }
+  ];
+
+  // 編集履歴の対象（学習で毎回変わる srs・stats などは含めない）
+  const CONTENT_FIELDS = ['word', 'wordDisplay', 'meaning', 'phonetic', 'pos', 'examples', 'synonyms', 'antonyms', 'tags', 'memo'];
+  const ARRAY_FIELDS = ['examples', 'synonyms', 'antonyms', 'tags'];
+
+  // トラックごとのSRSデータの場所（索引のキーパス）
+  const TRACK_KEY_PATHS = {
+    recognition: 'srs',
+    recall: 'skills.recall',
+    spelling: 'skills.spelling'
+  };
+
+  // 習得済み: 5回以上連続正解し、間隔が3週間以上
+  const MASTERED_INTERVAL = 21;
+  const MASTERED_REPETITIONS = 5;
+
+  function upgradeWordV3(word) {
+    const skills = word.skills || {};
+    return {
+      ...word,
+      examples: Array.isArray(word.examples) ? word.examples : [],
+      synonyms: Array.isArray(word.synonyms) ? word.synonyms : [],
+      antonyms: Array.isArray(word.antonyms) ? word.antonyms : [],
+      tags: Array.isArray(word.tags) ? word.tags : [],
+      suspended: !!word.suspended,
+      srs: SRS.normalize(word.srs),
+      skills: {
+        ...skills,
+        recall: SRS.normalize(skills.recall),
+        spelling: SRS.normalize(skills.spelling)
+      },
+      cram: word.cram || {},
+      stats: { ...DEFAULT_STATS, ...word.stats }
+    };
+  }
+
+  /**
+   * 索引用のフィールドを単語の状態に合わせる（単語を保存するたびに通す）
+   * 真偽値はキーにできないので、当てはまる単語だけがフィールドを持ち、その索引に載る
+   * - bookmarkedAt: ブックマークした単語
+   * - suspendedAt: 一時停止中の単語
+   * - readable: 一時停止しておらず英語の例文がある単語（例文リーディングの対象。値は 1）
+   * - queuedAt: 一時停止していない単語（値は登録日時。未学習の単語を登録順に出題する索引用）
+   */
+  function withIndexFields(word) {
+    if (word.bookmarked) {
+      if (!word.bookmarkedAt) word.bookmarkedAt = Date.now();
+    } else {
+      delete word.bookmarkedAt;
+    }
+    if (word.suspended) {
+      if (!word.suspendedAt) word.suspendedAt = Date.now();
+    } else {
+      delete word.suspendedAt;
+    }
+    const hasExample = Array.isArray(word.examples) && word.examples.length > 0 && word.examples[0].en;
+    if (!word.suspended && hasExample) {
+      word.readable = 1;
+    } else {
+      delete word.readable;
+    }
+    if (!word.suspended) {
+      word.queuedAt = word.createdAt || 0;
+    } else {
+      delete word.queuedAt;
+    }
+    return word;
+  }
+
+  // --- 初期化 ---
+  /**
+   * データベースを開く。旧バージョンのデータがあれば、移行前に別DBへ丸ごとバックアップする
+   * @param {Object} [handlers]
+   * @param {Function} [handlers.onBlocked] - 別のタブが古いバージョンで開いたままで、移行がそのタブを閉じるのを待っているとき
+   * @param {Function} [handlers.onVersionChange] - 別のタブが新しいバージョンへ移行するため、この接続を閉じたとき
+   */
+  async function init({ onBlocked, onVersionChange } = {}) {
+    const current = await openExisting(DB_NAME);
+    if (current) {
+      try {
+        if (current.version < DB_VERSION) {
+          // スナップショットはデータの複製を最大30件持つので、バックアップには含めない（一度に読み込むとメモリが足りない）
+          const names = Array.from(current.objectStoreNames).filter(name => !SNAPSHOT_OWN_STORES.includes(name));
+          await saveMigrationBackup(current.version, await dumpStores(current, names));
+        }
+      } finally {
+        current.close();
+      }
+    }
+    db = await openDatabase(DB_NAME, DB_VERSION, onBlocked);
+    // 開いたままだと別のタブの移行が始まらないので、新しいバージョンが開かれたらすぐ閉じる
+    db.onversionchange = () => {
+      db.close();
+      if (onVersionChange) onVersionChange();
+    };
+    return db;
+  }
+
+  /**
+   * 指定バージョンで開き、必要な移行手順を実行
+   * 古い接続が残っていると blocked になり、それが閉じられてから移行が始まる
+   */
+  function openDatabase(name, version, onBlocked) {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(name, version);
 
-      request.onsuccess = (event) => {
-        db = event.target.result;
-        resolve(db);
+      request.onupgradeneeded = (event) => {
+        runMigrations(request.transaction, event.oldVersion, version);
       };
+      request.onblocked = () => {
+        if (onBlocked) onBlocked();
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
 
+  /**
+   * 既存のデータベースを今のバージョンのまま開く（存在しなければ作らずに null）
+   */
+  function openExisting(name) {
+    return new Promise((resolve) => {
+      const request = indexedDB.open(name);
+      request.onupgradeneeded = () => request.transaction.abort();
+      request.onsuccess = () => resolve(request.result);
       request.onerror = (event) => {
-        reject(event.target.error);
+        event.preventDefault();
+        resolve(null);
+      };
+    });
+  }
+
+  /**
+   * oldVersion より新しい手順を1つずつ実行（前の手順のレコード変換が終わってから次へ）
+   */
+  function runMigrations(tx, oldVersion, newVersion) {
+    const steps = MIGRATIONS.filter(m => m.version > oldVersion && m.version <= newVersion);
+    const run = (i) => {
+      if (i >= steps.length) return;
+      const step = steps[i];
+      if (step.schema) step.schema(tx.db, tx);
+      transformRecords(tx, Object.entries(step.records || {}), () => run(i + 1));
+    };
+    run(0);
+  }
+
+  function transformRecords(tx, entries, done) {
+    if (entries.length === 0) {
+      done();
+      return;
+    }
+    const [[storeName, transform], ...rest] = entries;
+    const request = tx.objectStore(storeName).openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        transformRecords(tx, rest, done);
+        return;
+      }
+      const updated = transform(cursor.value, tx);
+      if (updated !== undefined) cursor.update(updated);
+      cursor.continue();
+    };
+  }
+
+  /**
+   * ストアの中身を読み出す
+   * @param {IDBDatabase} database
+   * @param {string[]} [names] - 読み出すストア（省略時はすべて）
+   * @returns {Promise<Object>} { ストア名: レコード配列 }
+   */
+  function dumpStores(database, names = Array.from(database.objectStoreNames)) {
+    if (names.length === 0) return Promise.resolve({});
+    return new Promise((resolve, reject) => {
+      const tx = database.transaction(names, 'readonly');
+      const result = {};
+      names.forEach(name => {
+        tx.objectStore(name).getAll().onsuccess = (event) => {
+          result[name] = event.target.result;
+        };
+      });
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  function writeStores(database, stores) {
+    const names = Object.keys(stores || {});
+    if (names.length === 0) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+      const tx = database.transaction(names, 'readwrite');
+      names.forEach(name => {
+        const store = tx.objectStore(name);
+        stores[name].forEach(record => store.put(record));
+      });
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  // --- 移行前バックアップ ---
+  /**
+   * 【ユーザー視点】移行が失敗しても、更新前のデータをJSONとして取り出せる
+   * 本体とは別のデータベースに保存し、新しいものから MAX_MIGRATION_BACKUPS 件を残す
+   */
+  function openBackupDB() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(BACKUP_DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore('backups', { keyPath: 'id', autoIncrement: true });
       };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async function withBackupStore(mode, callback) {
+    const backupDB = await openBackupDB();
+    try {
+      return await new Promise((resolve, reject) => {
+        const tx = backupDB.transaction('backups', mode);
+        const request = callback(tx.objectStore('backups'));
+        tx.oncomplete = () => resolve(request && request.result);
+        tx.onerror = () => reject(tx.error);
+      });
+    } finally {
+      backupDB.close();
+    }
+  }
+
+  async function saveMigrationBackup(fromVersion, stores) {
+    const existing = await withBackupStore('readonly', store => store.getAllKeys());
+    await withBackupStore('readwrite', store => {
+      store.add({ createdAt: Date.now(), fromVersion, toVersion: DB_VERSION, stores });
+      existing.slice(0, Math.max(0, existing.length + 1 - MAX_MIGRATION_BACKUPS))
+        .forEach(id => store.delete(id));
     });
   }
 
+  /**
+   * @returns {Promise<Array<{ id, createdAt, fromVersion, toVersion, wordCount }>>} 新しい順
+   */
+  async function getMigrationBackups() {
+    const backups = await withBackupStore('readonly', store => store.getAll());
+    return backups
+      .map(b => ({
+        id: b.id,
+        createdAt: b.createdAt,
+        fromVersion: b.fromVersion,
+        toVersion: b.toVersion,
+        wordCount: (b.stores.words || []).length
+      }))
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * バックアップをエクスポートと同じ形式のJSONで取り出す（そのまま取り込み可能）
+   */
+  async function exportMigrationBackup(id) {
+    const backup = await withBackupStore('readonly', store => store.get(id));
+    if (!backup) throw new Error('バックアップが見つかりません');
+    return JSON.stringify({
+      version: 1,
+      exportedAt: new Date(backup.createdAt).toISOString(),
+      schemaVersion: backup.fromVersion,
+      words: backup.stores.words || [],
+      studyLogs: backup.stores.studyLogs || [],
+      reviews: backup.stores.reviews || [],
+      settings: backup.stores.settings || []
+    }, null, 2);
+  }
+
+  /**
+   * 移行手順をフィクスチャで検証（開発用。ブラウザのコンソールから実行）
+   * 一時DBを fixture.version で作って fixture.stores を書き込み、現在のバージョンまで移行した結果を返す
+   * 例: await VocabDB.testMigration({ version: 1, stores: { words: [{ id: 'a', word: 'run', srs: { repetitions: 2 } }] } })
+   * @param {Object} fixture - { version, stores: { ストア名: レコード配列 } }
+   * @returns {Promise<Object>} 移行後の { ストア名: レコード配列 }
+   */
+  async function testMigration(fixture) {
+    const name = `${DB_NAME}-fixture-${Date.now()}`;
+    try {
+      const before = await openDatabase(name, fixture.version);
+      await writeStores(before, fixture.stores);
+      before.close();
+
+      const after = await openDatabase(name, DB_VERSION);
+      const result = await dumpStores(after);
+      after.close();
+      return result;
+    } finally {
+      await promisify(indexedDB.deleteDatabase(name));
+    }
+  }
+
+  /**
+   * 移行手順のフィクスチャ（各バージョンの保存データと、現在のバージョンまで移行した後に満たすべき条件）
+   * check は移行後の { ストア名: レコード配列 } を受け取り、満たさない条件の説明を返す（false は合格）
+   */
+  const MIGRATION_FIXTURES = [
+    {
+      name: 'v1: SM-2 の記録だけを持つ単語と設定',
+      version: 1,
+      stores: {
+        words: [{
+          id: 'a', word: 'run', wordDisplay: 'Run', meaning: '走る',
+          srs: { repetitions: 2, interval: 6, easeFactor: 2.5, lastReview: 1, nextReview: 2 },
+          stats: { flashcardCorrect: 3 }
+        }],
+        settings: [{ key: 'darkMode', value: true }]
+      },
+      check({ words, settings, reviews }) {
+        const [word] = words;
+        return [
+          words.length !== 1 && '単語の件数が変わった',
+          word.srs.phase !== 'review' && '復習済みの単語の学習段階が review になっていない',
+          (word.srs.interval !== 6 || word.srs.easeFactor !== 2.5) && 'SM-2 の間隔・易しさが失われた',
+          !(word.skills && word.skills.recall && word.skills.spelling) && 'スキル別のSRSが補われていない',
+          (word.stats.flashcardCorrect !== 3 || word.stats.spellingCorrect !== 0) && '学習の統計が正しく補われていない',
+          !Array.isArray(word.tags) && 'タグが配列になっていない',
+          !(settings.length === 1 && settings[0].value === true) && '設定が失われた',
+          !Array.isArray(reviews) && '回答ログのストアがない'
+        ];
+      }
+    },
+    {
+      name: 'v3: ブックマークした単語',
+      version: 3,
+      stores: {
+        words: [
+          { id: 'a', word: 'keep', meaning: '保つ', bookmarked: true },
+          { id: 'b', word: 'drop', meaning: '落とす', bookmarked: false }
+        ]
+      },
+      check({ words }) {
+        const [kept, dropped] = words;
+        return [
+          typeof kept.bookmarkedAt !== 'number' && 'ブックマークした単語に bookmarkedAt がない',
+          'bookmarkedAt' in dropped && 'ブックマークしていない単語に bookmarkedAt がある'
+        ];
+      }
+    },
+    {
+      name: 'v7: 一時停止・例文の有無が異なる単語、ゴミ箱と編集履歴',
+      version: 7,
+      stores: {
+        words: [
+          { id: 'a', word: 'read', meaning: '読む', examples: [{ en: 'Read it.', ja: '' }] },
+          { id: 'b', word: 'rest', meaning: '休む', suspended: true, examples: [{ en: 'Rest.', ja: '' }] },
+          { id: 'c', word: 'bare', meaning: '裸の' }
+        ],
+        trash: [{ id: 'd', word: { id: 'd', word: 'gone' }, reviews: [], deletedAt: 1 }],
+        revisions: [{ wordId: 'a', timestamp: 1, source: 'edit', changes: [] }]
+      },
+      check({ words, trash, revisions }) {
+        const byId = Object.fromEntries(words.map(w => [w.id, w]));
+        return [
+          words.length !== 3 && '単語の件数が変わった',
+          byId.a.readable !== 1 && '例文のある単語が例文リーディングの索引に載っていない',
+          'readable' in byId.b && '一時停止中の単語が例文リーディングの索引に載っている',
+          'readable' in byId.c && '例文のない単語が例文リーディングの索引に載っている',
+          typeof byId.b.suspendedAt !== 'number' && '一時停止中の単語に suspendedAt がない',
+          'suspendedAt' in byId.a && '一時停止していない単語に suspendedAt がある',
+          typeof byId.a.queuedAt !== 'number' && '一時停止していない単語が未学習の出題順の索引に載っていない',
+          'queuedAt' in byId.b && '一時停止中の単語が未学習の出題順の索引に載っている',
+          trash.length !== 1 && 'ゴミ箱の単語が失われた',
+          revisions.length !== 1 && '編集履歴が失われた'
+        ];
+      }
+    },
+    {
+      name: 'v8: データ本体を含むスナップショット',
+      version: 8,
+      stores: {
+        snapshots: [{
+          id: 1, createdAt: 1, reason: 'daily', counts: { words: 1 },
+          stores: { words: [{ id: 'a', word: 'keep' }] }
+        }]
+      },
+      check({ snapshots, snapshotData }) {
+        const [meta] = snapshots;
+        const [data] = snapshotData;
+        return [
+          snapshots.length !== 1 && 'スナップショットの件数が変わった',
+          'stores' in meta && '一覧用のレコードにデータ本体が残っている',
+          (meta.reason !== 'daily' || meta.counts.words !== 1) && 'スナップショットの理由・件数が失われた',
+          !(data && data.id === 1 && data.stores.words.length === 1) && 'データ本体が snapshotData に移っていない'
+        ];
+      }
+    }
+  ];
+
+  /**
+   * すべてのフィクスチャで移行を実行して条件を確かめる（開発用。ブラウザのコンソールから実行）
+   * 移行手順を追加したら、そのバージョンのフィクスチャもここに足す
+   * 例: console.table(await VocabDB.runMigrationFixtures())
+   * @returns {Promise<Array<{ name, ok, problems }>>}
+   */
+  async function runMigrationFixtures() {
+    const results = [];
+    for (const fixture of MIGRATION_FIXTURES) {
+      try {
+        const problems = fixture.check(await testMigration(fixture)).filter(Boolean);
+        results.push({ name: fixture.name, ok: problems.length === 0, problems });
+      } catch (e) {
+        results.push({ name: fixture.name, ok: false, problems: [e.message] });
+      }
+    }
+    return results;
+  }
+
   // --- ユーティリティ ---
   function promisify(request) {
     return new Promise((resolve, reject) => {
@@ -86,43 +588,44 @@ const VocabDB = (function () {
       tags: Array.isArray(data.tags) ? data.tags : [],
       memo: (data.memo || '').trim(),
       bookmarked: !!data.bookmarked,
-      srs: data.srs || {
-        repetitions: 0,
-        easeFactor: 2.5,
-        interval: 0,
-        nextReview: null,
-        lastReview: null
-      },
-      stats: data.stats || {
-        flashcardCorrect: 0,
-        flashcardIncorrect: 0,
-        spellingCorrect: 0,
-        spellingIncorrect: 0,
-        matchingCorrect: 0,
-        matchingIncorrect: 0
+      suspended: !!data.suspended,
+      // 学習段階の欠けた旧データもそのまま索引（期限・学習段階）に載るよう補う
+      srs: SRS.normalize(data.srs),
+      // 想起 (日→英)・スペルのスキル別SRS（認識は srs）
+      skills: {
+        ...data.skills,
+        recall: SRS.normalize(data.skills && data.skills.recall),
+        spelling: SRS.normalize(data.skills && data.skills.spelling)
       },
+      // 試験対策の詰め込み復習の進み具合（タグ名 → { count, lastReview, nextReview }）
+      cram: data.cram || {},
+      stats: { ...DEFAULT_STATS, ...data.stats },
       createdAt: data.createdAt || Date.now(),
       updatedAt: Date.now()
     };
   }
 
-  async function addWord(data) {
-    const word = createWordEntry(data);
-    const store = getStore('words', 'readwrite');
-    await promisify(store.add(word));
+  /**
+   * @param {Object} data - 単語データ
+   * @param {string} [source] - 登録元 'manual' | 'ocr' | 'import'（編集履歴に記録）
+   */
+  async function addWord(data, source = 'manual') {
+    const [word] = await addWords([data], source);
     return word;
   }
 
-  async function addWords(dataArray) {
+  async function addWords(dataArray, source = 'manual') {
     return new Promise((resolve, reject) => {
-      const tx = db.transaction('words', 'readwrite');
+      const tx = db.transaction(['words', 'revisions'], 'readwrite');
       const store = tx.objectStore('words');
       const results = [];
+      const now = Date.now();
 
       dataArray.forEach(data => {
-        const word = createWordEntry(data);
+        const word = withIndexFields(createWordEntry(data));
         results.push(word);
         store.add(word);
+        addRevision(tx, null, word, source, now);
       });
 
       tx.oncomplete = () => resolve(results);
@@ -140,62 +643,570 @@ const VocabDB = (function () {
     return promisify(store.getAll());
   }
 
-  async function updateWord(word) {
-    word.updatedAt = Date.now();
-    const store = getStore('words', 'readwrite');
-    await promisify(store.put(word));
+  /**
+   * @param {Object} word - 更新後の単語
+   * @param {string} [source] - 変更元 'manual' | 'import' | 'revert' など（編集履歴に記録）
+   */
+  async function updateWord(word, source = 'manual') {
+    await updateWords([word], source);
     return word;
   }
 
+  async function updateWords(words, source = 'manual') {
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(['words', 'revisions'], 'readwrite');
+      const now = Date.now();
+
+      words.forEach(word => {
+        word.updatedAt = now;
+        putWord(tx, word, source, now);
+      });
+
+      tx.oncomplete = () => resolve(words);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  // --- 編集履歴 ---
+  /**
+   * 保存済みの単語と比べて内容が変わっていれば編集履歴を残してから保存
+   * （呼び出し側のトランザクションに words と revisions が必要）
+   */
+  function putWord(tx, word, source, now = Date.now()) {
+    const store = tx.objectStore('words');
+    store.get(word.id).onsuccess = (event) => {
+      addRevision(tx, event.target.result || null, word, source, now);
+      store.put(withIndexFields(word));
+    };
+  }
+
+  function emptyValue(field) {
+    return ARRAY_FIELDS.includes(field) ? [] : '';
+  }
+
+  /**
+   * @returns {Object|null} { フィールド: { from, to } }（変更がなければ null）
+   */
+  function diffContent(before, after) {
+    const changes = {};
+    CONTENT_FIELDS.forEach(field => {
+      const from = before && before[field] !== undefined ? before[field] : emptyValue(field);
+      const to = after[field] !== undefined ? after[field] : emptyValue(field);
+      if (JSON.stringify(from) !== JSON.stringify(to)) changes[field] = { from, to };
+    });
+    return Object.keys(changes).length > 0 ? changes : null;
+  }
+
+  function addRevision(tx, before, after, source, now) {
+    const changes = diffContent(before, after);
+    if (!changes) return;
+    tx.objectStore('revisions').add({
+      wordId: after.id,
+      timestamp: now,
+      source,
+      created: !before,
+      changes
+    });
+  }
+
+  /**
+   * @returns {Promise<Array<{ id, wordId, timestamp, source, created, changes }>>} 古い順
+   */
+  async function getWordRevisions(wordId) {
+    const index = getStore('revisions').index('wordId');
+    const revisions = await promisify(index.getAll(wordId));
+    return revisions.sort((a, b) => a.id - b.id);
+  }
+
+  /**
+   * 指定した版（その編集の直後）の内容に戻す。戻したこと自体も履歴に残る
+   * 新しい編集から順に変更前の値を当てていく
+   */
+  async function revertWord(wordId, revisionId) {
+    const [word, revisions] = await Promise.all([getWord(wordId), getWordRevisions(wordId)]);
+    if (!word) throw new Error('単語が見つかりません');
+    revisions
+      .filter(r => r.id > revisionId)
+      .reverse()
+      .forEach(r => {
+        Object.entries(r.changes).forEach(([field, change]) => { word[field] = change.from; });
+      });
+    return updateWord(word, 'revert');
+  }
+
+  /**
+   * 単語の編集履歴を消す（呼び出し側のトランザクション内。words と revisions が必要）
+   * 同じIDの単語が取り込みなどで戻っている場合、その履歴は今の単語のものなので残す
+   */
+  function deleteRevisions(tx, wordIds) {
+    const index = tx.objectStore('revisions').index('wordId');
+    wordIds.forEach(id => {
+      tx.objectStore('words').getKey(id).onsuccess = (found) => {
+        if (found.target.result !== undefined) return;
+        index.getAllKeys(id).onsuccess = (event) => {
+          event.target.result.forEach(key => tx.objectStore('revisions').delete(key));
+        };
+      };
+    });
+  }
+
+  // --- 削除とゴミ箱 ---
+  /**
+   * 単語と回答ログをゴミ箱へ移す（呼び出し側のトランザクション内）
+   */
+  function trashWords(tx, words, reviews, deletedAt) {
+    const reviewsByWord = new Map();
+    reviews.forEach(r => {
+      if (!reviewsByWord.has(r.wordId)) reviewsByWord.set(r.wordId, []);
+      reviewsByWord.get(r.wordId).push(r);
+    });
+    words.forEach(word => {
+      const wordReviews = reviewsByWord.get(word.id) || [];
+      tx.objectStore('trash').put({ id: word.id, word, reviews: wordReviews, deletedAt });
+      tx.objectStore('words').delete(word.id);
+      wordReviews.forEach(r => tx.objectStore('reviews').delete(r.id));
+    });
+  }
+
+  /**
+   * 単語を削除（ゴミ箱へ移動。保存期間内なら元に戻せる）
+   * @param {Array<string>} ids - 単語ID
+   * @returns {Promise<number>} 移動した単語数
+   */
+  async function deleteWords(ids) {
+    if (ids.length === 0) return 0;
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(['words', 'reviews', 'trash'], 'readwrite');
+      const words = [];
+      const reviews = [];
+      let pending = ids.length * 2;
+      const loaded = () => {
+        if (--pending === 0) trashWords(tx, words, reviews, Date.now());
+      };
+
+      ids.forEach(id => {
+        tx.objectStore('words').get(id).onsuccess = (event) => {
+          if (event.target.result) words.push(event.target.result);
+          loaded();
+        };
+        tx.objectStore('reviews').index('wordId').getAll(id).onsuccess = (event) => {
+          reviews.push(...event.target.result);
+          loaded();
+        };
+      });
+
+      tx.oncomplete = () => resolve(words.length);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
   async function deleteWord(id) {
-    const store = getStore('words', 'readwrite');
-    return promisify(store.delete(id));
+    return deleteWords([id]);
+  }
+
+  /**
+   * @returns {Promise<Array<{ id, word, reviews, deletedAt }>>} 削除の新しい順
+   */
+  async function getTrash() {
+    const entries = await promisify(getStore('trash').getAll());
+    return entries.sort((a, b) => b.deletedAt - a.deletedAt);
+  }
+
+  /**
+   * ゴミ箱から単語と回答ログを戻す
+   * 同じIDの単語が既にある（取り込み直したなど）ものは上書きせずゴミ箱に残す
+   * @returns {Promise<{ restored: number, skipped: number }>}
+   */
+  async function restoreFromTrash(ids) {
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(['words', 'reviews', 'trash'], 'readwrite');
+      const result = { restored: 0, skipped: 0 };
+
+      ids.forEach(id => {
+        tx.objectStore('trash').get(id).onsuccess = (event) => {
+          const entry = event.target.result;
+          if (!entry) return;
+          tx.objectStore('words').getKey(id).onsuccess = (e) => {
+            if (e.target.result !== undefined) {
+              result.skipped++;
+              return;
+            }
+            tx.objectStore('words').put(withIndexFields(entry.word));
+            entry.reviews.forEach(r => tx.objectStore('reviews').put(r));
+            tx.objectStore('trash').delete(id);
+            result.restored++;
+          };
+        };
+      });
+
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * ゴミ箱から完全に削除
+   * @param {Array<string>} [ids] - 省略時はゴミ箱を空にする
+   * @param {string|null} [reason] - 直前に取るスナップショットの理由（null なら取らない）
+   */
+  async function purgeTrash(ids, reason = 'purge') {
+    if (reason) await takeSnapshot(reason);
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(['trash', 'words', 'revisions'], 'readwrite');
+      const store = tx.objectStore('trash');
+      const purge = (targets) => {
+        targets.forEach(id => store.delete(id));
+        deleteRevisions(tx, targets);
+      };
+      if (ids) purge(ids);
+      else store.getAllKeys().onsuccess = (event) => purge(event.target.result);
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * 保存期間を過ぎたゴミ箱の単語を完全に削除
+   * @param {number} days - 保存期間（日）
+   * @returns {Promise<number>} 削除した件数
+   */
+  async function purgeExpiredTrash(days) {
+    const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+    const index = getStore('trash').index('deletedAt');
+    const ids = await promisify(index.getAllKeys(IDBKeyRange.upperBound(cutoff)));
+    if (ids.length > 0) await purgeTrash(ids, null); // 期限切れの自動削除ではスナップショットを取らない
+    return ids.length;
+  }
+
+  /**
+   * 単語を1件ずつ走査（一覧の配列を作らずに集計・絞り込みする）
+   * @param {Function} visit - 単語ごとに呼ぶ関数
+   */
+  function scanWords(visit) {
+    return new Promise((resolve, reject) => {
+      const request = getStore('words').openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve();
+          return;
+        }
+        visit(cursor.value);
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * 並び順で上位 limit 件だけを保持（走査しながら使う）
+   */
+  function keepTop(list, item, limit, compare) {
+    if (limit <= 0) return;
+    if (list.length >= limit && compare(item, list[list.length - 1]) >= 0) return;
+    list.push(item);
+    list.sort(compare);
+    if (list.length > limit) list.pop();
+  }
+
+  function withErrorRate(w) {
+    const total = w.stats.flashcardCorrect + w.stats.flashcardIncorrect +
+      w.stats.spellingCorrect + w.stats.spellingIncorrect;
+    const incorrect = w.stats.flashcardIncorrect + w.stats.spellingIncorrect;
+    const rate = total > 0 ? incorrect / total : 0;
+    return { ...w, errorRate: rate, totalAttempts: total };
+  }
+
+  const byErrorRate = (a, b) => b.errorRate - a.errorRate;
+  const byNewest = (a, b) => b.createdAt - a.createdAt;
+
+  function isMastered(w) {
+    return w.srs.repetitions >= MASTERED_REPETITIONS && w.srs.interval >= MASTERED_INTERVAL;
+  }
+
+  async function getBookmarkedWords() {
+    const index = getStore('words').index('bookmarkedAt');
+    return promisify(index.getAll());
+  }
+
+  async function searchWords(query) {
+    const q = query.toLowerCase().trim();
+    if (!q) return getAllWords();
+    const matches = [];
+    await scanWords(w => {
+      if (w.word.includes(q) ||
+        w.meaning.includes(q) ||
+        w.synonyms.some(s => s.toLowerCase().includes(q)) ||
+        w.tags.some(t => t.toLowerCase().includes(q))) {
+        matches.push(w);
+      }
+    });
+    return matches;
+  }
+
+  /**
+   * 期限の来た単語（学習ステップ中・復習）を索引から取得。未学習の単語は getNewWords で取る
+   * 今日中に期限が来るものを範囲検索し、学習ステップ中の分単位の判定は SRS.isDue に委ねる
+   * @param {string} [track] - 'recognition' | 'recall' | 'spelling'
+   */
+  async function getDueWords(track = 'recognition', now = Date.now()) {
+    const index = getStore('words').index(`${track}.nextReview`);
+    const scheduled = await promisify(index.getAll(IDBKeyRange.upperBound(SRS.endOfDay(now), true)));
+    return scheduled.filter(w => !w.suspended && SRS.isDue(SRS.getTrack(w, track), now));
+  }
+
+  // newQueue 索引のうち未学習の範囲（[学習段階, 登録日時]）
+  const newQueueRange = () => IDBKeyRange.bound(['new', -Infinity], ['new', Infinity]);
+
+  /**
+   * 一時停止していない未学習の単語を登録の古い順に取得
+   * limit を指定すると、accept を通った単語がその数に達した時点でカーソルを止める
+   * （タグ別の新規上限で弾かれる単語も返すが数えないので、上限があっても足りなくならない）
+   * @param {string} track
+   * @param {Object} [options] - { limit, accept }
+   * @returns {Promise<Array>}
+   */
+  function getNewWords(track, { limit = Infinity, accept = () => true } = {}) {
+    const index = getStore('words').index(`${track}.newQueue`);
+    if (limit === Infinity) return promisify(index.getAll(newQueueRange()));
+    return new Promise((resolve, reject) => {
+      const words = [];
+      let accepted = 0;
+      if (limit <= 0) {
+        resolve(words);
+        return;
+      }
+      const request = index.openCursor(newQueueRange());
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve(words);
+          return;
+        }
+        words.push(cursor.value);
+        if (accept(cursor.value) && ++accepted >= limit) {
+          resolve(words);
+          return;
+        }
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * 一時停止していない未学習の単語の数（単語は読み込まない）
+   */
+  function countNewWords(track) {
+    return promisify(getStore('words').index(`${track}.newQueue`).count(newQueueRange()));
+  }
+
+  /**
+   * 明日以降の日ごとの予定済みの復習件数を索引のキーだけで数える（負荷分散の基準。SRS.setWorkload に渡す）
+   * 今日の分は学習ステップ中のカードを含み、ばらつきの候補日にもならないので数えない
+   * 一時停止中の単語も数える（負荷分散の目安なので、単語を読み込んでまで除かない）
+   * @returns {Promise<Map<number, number>>} 日の開始時刻 → 件数
+   */
+  async function getReviewLoad(now = Date.now()) {
+    const store = getStore('words');
+    const load = new Map();
+    await Promise.all(Object.keys(TRACK_KEY_PATHS).map(track => new Promise((resolve, reject) => {
+      const request = store.index(`${track}.nextReview`).openKeyCursor(IDBKeyRange.lowerBound(SRS.endOfDay(now)));
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve();
+          return;
+        }
+        const day = SRS.startOfDay(cursor.key);
+        load.set(day, (load.get(day) || 0) + 1);
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    })));
+    return load;
+  }
+
+  async function getWordsByIds(ids) {
+    const store = getStore('words');
+    const words = await Promise.all(ids.map(id => promisify(store.get(id))));
+    return words.filter(Boolean);
+  }
+
+  async function getWeakWords(limit = 10) {
+    const weak = [];
+    await scanWords(w => {
+      const rated = withErrorRate(w);
+      if (rated.totalAttempts >= 2) keepTop(weak, rated, limit, byErrorRate);
+    });
+    return weak;
+  }
+
+  async function getMasteredWords() {
+    const index = getStore('words').index('interval');
+    const words = await promisify(index.getAll(IDBKeyRange.lowerBound(MASTERED_INTERVAL)));
+    return words.filter(isMastered);
+  }
+
+  /**
+   * ホーム画面の集計を1回の走査でまとめて取得
+   * @param {Object} [options] - { weakLimit, recentLimit }
+   * @returns {Promise<{ total, mastered, weak, recent }>}
+   *   weak: 間違いの多い順 / recent: 登録の新しい順
+   */
+  async function getHomeStats({ weakLimit = 5, recentLimit = 5 } = {}) {
+    const stats = { total: 0, mastered: 0, weak: [], recent: [] };
+    await scanWords(w => {
+      stats.total++;
+      if (isMastered(w)) stats.mastered++;
+      const rated = withErrorRate(w);
+      if (rated.totalAttempts >= 2) keepTop(stats.weak, rated, weakLimit, byErrorRate);
+      keepTop(stats.recent, w, recentLimit, byNewest);
+    });
+    return stats;
+  }
+
+  // --- 重複の検出と統合 ---
+  function normalizeSpelling(text) {
+    return (text || '').trim().toLowerCase();
+  }
+
+  /**
+   * 綴りが同じ既存の単語を word 索引で探す
+   * @param {Array<string>} spellings - 綴り（大文字小文字は区別しない）
+   * @returns {Promise<Map<string, Object>>} 小文字の綴り → 既存の単語
+   */
+  async function findExistingWords(spellings) {
+    const index = getStore('words').index('word');
+    const unique = [...new Set(spellings.map(normalizeSpelling))].filter(Boolean);
+    const found = await Promise.all(unique.map(s => promisify(index.get(s))));
+    const result = new Map();
+    unique.forEach((s, i) => {
+      if (found[i]) result.set(s, found[i]);
+    });
+    return result;
+  }
+
+  /**
+   * 綴りが同じ単語のグループ（2語以上）を word 索引の順に走査して集める
+   * @returns {Promise<Array<Array<Object>>>}
+   */
+  async function findDuplicateGroups() {
+    const groups = [];
+    let group = [];
+    const flush = () => {
+      if (group.length > 1) groups.push(group);
+      group = [];
+    };
+
+    await new Promise((resolve, reject) => {
+      const request = getStore('words').index('word').openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          flush();
+          resolve();
+          return;
+        }
+        if (group.length > 0 && group[0].word !== cursor.key) flush();
+        group.push(cursor.value);
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+    return groups;
   }
 
-  async function getBookmarkedWords() {
-    const all = await getAllWords();
-    return all.filter(w => w.bookmarked);
+  /**
+   * 意味を「；」区切りの項目に分けて重複を除く（他の項目に含まれる短い項目も除く）
+   */
+  function mergeMeanings(meanings) {
+    const parts = [...new Set(meanings
+      .flatMap(m => (m || '').split(/[;；]/))
+      .map(m => m.trim())
+      .filter(Boolean))];
+    return parts.filter(m => !parts.some(other => other !== m && other.includes(m))).join('；');
   }
 
-  async function searchWords(query) {
-    const all = await getAllWords();
-    const q = query.toLowerCase().trim();
-    if (!q) return all;
-    return all.filter(w =>
-      w.word.includes(q) ||
-      w.meaning.includes(q) ||
-      w.synonyms.some(s => s.toLowerCase().includes(q)) ||
-      w.tags.some(t => t.toLowerCase().includes(q))
-    );
+  function unionBy(lists, key) {
+    const seen = new Map();
+    lists.flat().forEach(item => {
+      const k = key(item);
+      if (k && !seen.has(k)) seen.set(k, item);
+    });
+    return [...seen.values()];
   }
 
-  async function getDueWords() {
-    const all = await getAllWords();
-    const now = Date.now();
-    return all.filter(w => {
-      if (!w.srs.nextReview) return true; // 未学習
-      return w.srs.nextReview <= now;
+  /**
+   * 重複した単語を1語にまとめた内容を作る（保存はしない）
+   * - 残すのは認識トラックの学習が最も進んでいる単語（同じなら先頭）のID
+   * - 意味・例文・類義語・対義語・タグ・メモは和集合、発音記号・品詞は最初に見つかったもの
+   * - 学習状況はトラックごとに進んでいる方、成績は合算
+   * @param {Array<Object>} words - 同じ綴りの単語（保存前の入力データも可）
+   */
+  function mergeWordData(words) {
+    const base = words.reduce((best, w) => {
+      const srs = SRS.getTrack(best);
+      return SRS.moreAdvanced(srs, SRS.getTrack(w)) === srs ? best : w;
+    });
+    const ordered = [base, ...words.filter(w => w !== base)];
+    const stats = { ...DEFAULT_STATS };
+    Object.keys(stats).forEach(key => {
+      stats[key] = ordered.reduce((sum, w) => sum + ((w.stats && w.stats[key]) || 0), 0);
+    });
+    const cram = {};
+    ordered.forEach(w => {
+      Object.entries(w.cram || {}).forEach(([tag, progress]) => {
+        if (!cram[tag] || progress.count > cram[tag].count) cram[tag] = progress;
+      });
     });
-  }
 
-  async function getWeakWords(limit = 10) {
-    const all = await getAllWords();
-    return all
-      .map(w => {
-        const total = w.stats.flashcardCorrect + w.stats.flashcardIncorrect +
-          w.stats.spellingCorrect + w.stats.spellingIncorrect;
-        const incorrect = w.stats.flashcardIncorrect + w.stats.spellingIncorrect;
-        const rate = total > 0 ? incorrect / total : 0;
-        return { ...w, errorRate: rate, totalAttempts: total };
-      })
-      .filter(w => w.totalAttempts >= 2)
-      .sort((a, b) => b.errorRate - a.errorRate)
-      .slice(0, limit);
+    const merged = {
+      ...base,
+      meaning: mergeMeanings(ordered.map(w => w.meaning)),
+      phonetic: ordered.map(w => w.phonetic).find(Boolean) || '',
+      pos: ordered.map(w => w.pos).find(Boolean) || '',
+      examples: unionBy(ordered.map(w => w.examples || []), ex => normalizeSpelling(ex.en)),
+      synonyms: unionBy(ordered.map(w => w.synonyms || []), normalizeSpelling),
+      antonyms: unionBy(ordered.map(w => w.antonyms || []), normalizeSpelling),
+      tags: unionBy(ordered.map(w => w.tags || []), t => t),
+      memo: [...new Set(ordered.map(w => (w.memo || '').trim()).filter(Boolean))].join('\n'),
+      bookmarked: ordered.some(w => w.bookmarked),
+      suspended: ordered.every(w => w.suspended),
+      stats,
+      cram,
+      createdAt: Math.min(...ordered.map(w => w.createdAt || Date.now()))
+    };
+    return SRS.mergeProgress(merged, ordered);
   }
 
-  async function getMasteredWords() {
-    const all = await getAllWords();
-    return all.filter(w => w.srs.repetitions >= 5 && w.srs.interval >= 21);
+  /**
+   * 統合した単語を保存し、残りの単語をゴミ箱へ移す（回答ログは統合先へ付け替え）
+   * @param {Object} merged - mergeWordData の結果
+   * @param {Array<string>} otherIds - 統合されて消える単語のID
+   */
+  async function mergeDuplicates(merged, otherIds) {
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(['words', 'reviews', 'trash', 'revisions'], 'readwrite');
+      const now = Date.now();
+      merged.updatedAt = now;
+      putWord(tx, merged, 'merge', now);
+
+      otherIds.forEach(id => {
+        tx.objectStore('words').get(id).onsuccess = (event) => {
+          const word = event.target.result;
+          if (!word) return;
+          tx.objectStore('trash').put({ id, word, reviews: [], deletedAt: now, mergedInto: merged.id });
+          tx.objectStore('words').delete(id);
+        };
+        tx.objectStore('reviews').index('wordId').getAll(id).onsuccess = (event) => {
+          event.target.result.forEach(r => tx.objectStore('reviews').put({ ...r, wordId: merged.id }));
+        };
+      });
+
+      tx.oncomplete = () => resolve(merged);
+      tx.onerror = () => reject(tx.error);
+    });
   }
 
   // --- 学習ログ ---
@@ -212,12 +1223,79 @@ const VocabDB = (function () {
     return promisify(store.add(entry));
   }
 
+  async function deleteStudyLog(id) {
+    const store = getStore('studyLogs', 'readwrite');
+    return promisify(store.delete(id));
+  }
+
   async function getStudyLogs(days = 30) {
     const all = await promisify(getStore('studyLogs').getAll());
     const cutoff = Date.now() - (days * 24 * 60 * 60 * 1000);
     return all.filter(log => log.timestamp >= cutoff);
   }
 
+  // --- 回答ログ ---
+  function createReviewEntry(review) {
+    const timestamp = review.timestamp || Date.now();
+    return {
+      wordId: review.wordId,
+      timestamp,
+      date: new Date(timestamp).toISOString().split('T')[0],
+      mode: review.mode, // 'flashcard', 'review', 'recall', 'spelling', 'matching', 'reading', 'cram'
+      track: review.track || 'recognition',
+      grade: review.grade, // 品質 (0-5)
+      correct: review.grade >= 3,
+      responseTime: review.responseTime || 0,
+      srsBefore: review.srsBefore || null,
+      srsAfter: review.srsAfter || null
+    };
+  }
+
+  /**
+   * 回答結果の単語更新と回答ログ追加を1トランザクションで保存
+   * @param {Object} word - 更新後の単語
+   * @param {Object} review - { mode, track, grade, responseTime, srsBefore, srsAfter }
+   * @returns {Promise<number>} 追加した回答ログのID
+   */
+  async function saveAnswer(word, review) {
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(['words', 'reviews', 'revisions'], 'readwrite');
+      word.updatedAt = Date.now();
+      putWord(tx, word, 'study'); // リーチのタグ付けなど
+      const request = tx.objectStore('reviews').add(createReviewEntry({ ...review, wordId: word.id }));
+
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * 回答の取り消し：回答前の単語に戻し、回答ログを削除（1トランザクション）
+   * @param {Object} word - 回答前の状態に戻した単語
+   * @param {number} reviewId - saveAnswer が返した回答ログID
+   */
+  async function revertAnswer(word, reviewId) {
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(['words', 'reviews', 'revisions'], 'readwrite');
+      putWord(tx, word, 'undo');
+      if (reviewId != null) tx.objectStore('reviews').delete(reviewId);
+
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  async function getReviews(since = 0) {
+    const index = getStore('reviews').index('timestamp');
+    return promisify(index.getAll(IDBKeyRange.lowerBound(since)));
+  }
+
+  async function getWordReviews(wordId) {
+    const index = getStore('reviews').index('wordId');
+    const reviews = await promisify(index.getAll(wordId));
+    return reviews.sort((a, b) => a.timestamp - b.timestamp);
+  }
+
   async function getStreak() {
     const logs = await getStudyLogs(365);
     if (logs.length === 0) return 0;
@@ -258,6 +1336,161 @@ const VocabDB = (function () {
     return promisify(store.put({ key, value }));
   }
 
+  // --- スナップショット ---
+  /**
+   * 【ユーザー視点】置き換えの取り込みや全データ削除を誤っても、直前の状態に戻せる
+   * 単語・学習記録・回答ログ・ゴミ箱・編集履歴をまとめて保存し、新しいものから設定の件数だけ残す
+   * 編集履歴も戻さないと、タイムラインが戻した内容と食い違い、履歴から戻す操作が別の内容に当たってしまう
+   * （編集履歴を持たない古いスナップショットから戻したときは、履歴を空にする）
+   * 日時・理由・件数は snapshots、データ本体は同じIDで snapshotData に分けて保存する
+   */
+  const SNAPSHOT_STORES = ['words', 'studyLogs', 'reviews', 'trash', 'revisions'];
+  // スナップショット自体を保存するストア（一覧用の情報 / データ本体）
+  const SNAPSHOT_OWN_STORES = ['snapshots', 'snapshotData'];
+  const DEFAULT_SNAPSHOT_KEEP = 7;
+
+  /**
+   * 今のデータのスナップショットを取る
+   * @param {string} reason - 'daily' | 'import' | 'clear' | 'purge' | 'restore' | 'manual'
+   * @returns {Promise<number>} スナップショットのID
+   */
+  async function takeSnapshot(reason) {
+    const keep = await getSetting('snapshotKeep', DEFAULT_SNAPSHOT_KEEP);
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction([...SNAPSHOT_STORES, ...SNAPSHOT_OWN_STORES], 'readwrite');
+      const snapshotStore = tx.objectStore('snapshots');
+      const stores = {};
+      let id = null;
+      SNAPSHOT_STORES.forEach(name => {
+        tx.objectStore(name).getAll().onsuccess = (event) => {
+          stores[name] = event.target.result;
+        };
+      });
+      // 同じトランザクションの要求は順に処理されるので、ここでは全ストアを読み終えている
+      snapshotStore.getAllKeys().onsuccess = (event) => {
+        const existing = event.target.result;
+        const counts = {};
+        SNAPSHOT_STORES.forEach(name => {
+          counts[name] = stores[name].length;
+        });
+        snapshotStore.add({ createdAt: Date.now(), reason, counts }).onsuccess = (e) => {
+          id = e.target.result;
+          tx.objectStore('snapshotData').add({ id, stores });
+        };
+        removeSnapshots(tx, existing.slice(0, Math.max(0, existing.length + 1 - keep)));
+      };
+      tx.oncomplete = () => resolve(id);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  function removeSnapshots(tx, ids) {
+    ids.forEach(id => {
+      SNAPSHOT_OWN_STORES.forEach(name => tx.objectStore(name).delete(id));
+    });
+  }
+
+  /**
+   * 1日1回の自動スナップショット（単語がなければ取らない）
+   * @returns {Promise<number|null>} 取ったスナップショットのID
+   */
+  async function takeDailySnapshot() {
+    const today = new Date().toISOString().split('T')[0];
+    if (await getSetting('lastDailySnapshot') === today) return null;
+    if (await getWordCount() === 0) return null;
+    const id = await takeSnapshot('daily');
+    await setSetting('lastDailySnapshot', today);
+    return id;
+  }
+
+  /**
+   * @returns {Promise<Array<{ id, createdAt, reason, counts }>>} 新しい順（データ本体は読み込まない）
+   */
+  async function getSnapshots() {
+    const snapshots = await promisify(getStore('snapshots').index('createdAt').getAll());
+    return snapshots.reverse();
+  }
+
+  /**
+   * スナップショットをデータ本体ごと読み込む
+   * @param {number} [id] - 省略時は最新
+   * @returns {Promise<Object|null>} { id, createdAt, reason, counts, stores }
+   */
+  async function loadSnapshot(id) {
+    let meta;
+    if (id === undefined) {
+      const cursor = await promisify(getStore('snapshots').index('createdAt').openCursor(null, 'prev'));
+      meta = cursor && cursor.value;
+    } else {
+      meta = await promisify(getStore('snapshots').get(id));
+    }
+    if (!meta) return null;
+    const data = await promisify(getStore('snapshotData').get(meta.id));
+    return { ...meta, stores: data ? data.stores : {} };
+  }
+
+  /**
+   * スナップショットをエクスポートと同じ形式のJSONで取り出す（ゴミ箱は含めない）
+   * @param {number} [id] - 省略時は最新
+   */
+  async function exportSnapshot(id) {
+    const snapshot = await loadSnapshot(id);
+    if (!snapshot) throw new Error('スナップショットがありません');
+    return JSON.stringify({
+      version: EXPORT_VERSION,
+      exportedAt: new Date(snapshot.createdAt).toISOString(),
+      words: snapshot.stores.words,
+      studyLogs: snapshot.stores.studyLogs,
+      reviews: snapshot.stores.reviews
+    }, null, 2);
+  }
+
+  /**
+   * スナップショットの状態に戻す（戻す前の状態もスナップショットとして残す）
+   * @returns {Promise<Object>} 戻した件数 { ストア名: 件数 }
+   */
+  async function restoreSnapshot(id) {
+    const snapshot = await loadSnapshot(id);
+    if (!snapshot) throw new Error('スナップショットが見つかりません');
+    await takeSnapshot('restore');
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(SNAPSHOT_STORES, 'readwrite');
+      SNAPSHOT_STORES.forEach(name => {
+        const store = tx.objectStore(name);
+        store.clear();
+        (snapshot.stores[name] || []).forEach(record => {
+          store.put(name === 'words' ? withIndexFields(record) : record);
+        });
+      });
+      tx.oncomplete = () => resolve(snapshot.counts);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  async function deleteSnapshot(id) {
+    const tx = db.transaction(SNAPSHOT_OWN_STORES, 'readwrite');
+    removeSnapshots(tx, [id]);
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * 残すスナップショットの数を変え、超えた分を古い順に削除
+   */
+  async function setSnapshotKeep(keep) {
+    await setSetting('snapshotKeep', keep);
+    const keys = await promisify(getStore('snapshots').getAllKeys());
+    const tx = db.transaction(SNAPSHOT_OWN_STORES, 'readwrite');
+    removeSnapshots(tx, keys.slice(0, Math.max(0, keys.length - keep)));
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
   // --- エクスポート/インポート ---
 
   async function getAllTags() {
@@ -272,36 +1505,29 @@ const VocabDB = (function () {
   }
 
   async function getWordsByTags(tags) {
-    const words = await getAllWords();
-    if (!tags || tags.length === 0) return words;
-    return words.filter(w =>
-      w.tags && w.tags.some(t => tags.includes(t))
-    );
+    if (!tags || tags.length === 0) return getAllWords();
+    const index = getStore('words').index('tags');
+    const lists = await Promise.all(tags.map(tag => promisify(index.getAll(tag))));
+    const byId = new Map();
+    lists.flat().forEach(w => byId.set(w.id, w));
+    return [...byId.values()];
   }
 
   async function exportData(filterTags = null) {
-    let words = await getAllWords();
-    if (filterTags && filterTags.length > 0) {
-      words = words.filter(w =>
-        w.tags && w.tags.some(t => filterTags.includes(t))
-      );
-    }
+    const words = await getWordsByTags(filterTags);
     const logs = filterTags ? [] : await getStudyLogs(9999);
+    const reviews = filterTags ? [] : await getReviews();
     return JSON.stringify({
-      version: 1,
+      version: EXPORT_VERSION,
       exportedAt: new Date().toISOString(),
       words,
-      studyLogs: logs
+      studyLogs: logs,
+      reviews
     }, null, 2);
   }
 
   async function exportAsText(filterTags = null) {
-    let words = await getAllWords();
-    if (filterTags && filterTags.length > 0) {
-      words = words.filter(w =>
-        w.tags && w.tags.some(t => filterTags.includes(t))
-      );
-    }
+    const words = await getWordsByTags(filterTags);
     const lines = words.map(w => {
       let line = w.word;
       if (w.phonetic) line += ` [${w.phonetic}]`;
@@ -312,51 +1538,369 @@ const VocabDB = (function () {
     });
     return lines.join('\n');
   }
-  async function importData(jsonString, mergeMode = false) {
+
+  // --- 取り込みデータの検証 ---
+  /**
+   * 書き出し形式のバージョン
+   * 1: 初期の形式（形式の保証なし） / 2: 下のスキーマに沿った形式
+   * どちらも同じスキーマで検証し、欠けている任意項目は既定値で補う
+   */
+  const EXPORT_VERSION = 2;
+
+  const MIN_TIMESTAMP = Date.UTC(2000, 0, 1);
+  const MAX_FUTURE_MS = 36600 * 24 * 60 * 60 * 1000; // 最長の復習間隔（100年）より少し先まで
+
+  // type: string | number | integer | boolean | timestamp | date | enum | array | object
+  // required: 不正・欠落ならレコードごと除外 / nullable: null を許す
+  // 任意項目の不正な値は除いて既定値に戻し、範囲外の数値は丸め、長すぎる文字列は切り詰める
+  const SRS_SCHEMA = {
+    repetitions: { type: 'integer', min: 0, max: 100000 },
+    easeFactor: { type: 'number', min: 1.3, max: 5 },
+    interval: { type: 'number', min: 0, max: 36500 },
+    nextReview: { type: 'timestamp', nullable: true },
+    lastReview: { type: 'timestamp', nullable: true },
+    stability: { type: 'number', min: 0, max: 36500, nullable: true },
+    difficulty: { type: 'number', min: 1, max: 10, nullable: true },
+    phase: { type: 'enum', values: ['new', 'learning', 'review', 'relearning'] },
+    step: { type: 'integer', min: 0, max: 100, nullable: true },
+    lapses: { type: 'integer', min: 0, max: 100000 }
+  };
+
+  const listOf = (maxLength) => ({
+    type: 'array',
+    maxItems: 50,
+    items: { type: 'string', required: true, minLength: 1, maxLength }
+  });
+
+  const WORD_SCHEMA = {
+    id: { type: 'string', minLength: 1, maxLength: 100 },
+    word: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+    wordDisplay: { type: 'string', maxLength: 100 },
+    meaning: { type: 'string', maxLength: 2000 },
+    phonetic: { type: 'string', maxLength: 100 },
+    pos: { type: 'string', maxLength: 50 },
+    examples: {
+      type: 'array',
+      maxItems: 50,
+      items: {
+        type: 'object',
+        required: true,
+        fields: {
+          en: { type: 'string', required: true, minLength: 1, maxLength: 1000 },
+          ja: { type: 'string', maxLength: 1000 }
+        }
+      }
+    },
+    synonyms: listOf(100),
+    antonyms: listOf(100),
+    tags: listOf(50),
+    memo: { type: 'string', maxLength: 5000 },
+    bookmarked: { type: 'boolean' },
+    bookmarkedAt: { type: 'timestamp', nullable: true },
+    suspended: { type: 'boolean' },
+    srs: { type: 'object', fields: SRS_SCHEMA },
+    skills: {
+      type: 'object',
+      fields: {
+        recall: { type: 'object', fields: SRS_SCHEMA },
+        spelling: { type: 'object', fields: SRS_SCHEMA }
+      }
+    },
+    stats: { type: 'object', values: { type: 'integer', min: 0, max: 10000000 } },
+    cram: {
+      type: 'object',
+      values: {
+        type: 'object',
+        fields: {
+          count: { type: 'integer', min: 0, max: 100000 },
+          lastReview: { type: 'timestamp', nullable: true },
+          nextReview: { type: 'timestamp', nullable: true }
+        }
+      }
+    },
+    createdAt: { type: 'timestamp' },
+    updatedAt: { type: 'timestamp' }
+  };
+
+  const STUDY_LOG_SCHEMA = {
+    id: { type: 'integer', min: 1, max: Number.MAX_SAFE_INTEGER },
+    date: { type: 'date', required: true },
+    timestamp: { type: 'timestamp', required: true },
+    type: { type: 'string', required: true, minLength: 1, maxLength: 30 },
+    wordCount: { type: 'integer', min: 0, max: 100000 },
+    correctCount: { type: 'integer', min: 0, max: 100000 },
+    duration: { type: 'number', min: 0, max: 24 * 60 * 60 * 1000 }
+  };
+
+  const REVIEW_SCHEMA = {
+    wordId: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+    timestamp: { type: 'timestamp', required: true },
+    mode: { type: 'string', maxLength: 30 },
+    track: { type: 'enum', values: Object.keys(TRACK_KEY_PATHS) },
+    grade: { type: 'integer', required: true, min: 0, max: 5 },
+    responseTime: { type: 'number', min: 0, max: 24 * 60 * 60 * 1000 },
+    srsBefore: { type: 'object', nullable: true, fields: SRS_SCHEMA },
+    srsAfter: { type: 'object', nullable: true, fields: SRS_SCHEMA }
+  };
+
+  const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+  /**
+   * 値をスキーマに合わせる
+   * @returns {{ value }|{ invalid: string }|{}} 合わせた値 / 使えない理由 / 省略（任意項目が欠けている）
+   *   直した内容は problems に追加
+   */
+  function conformValue(rule, value, path, problems) {
+    if (value === undefined) return rule.required ? { invalid: `${path} がありません` } : {};
+    if (value === null) {
+      if (rule.nullable) return { value: null };
+      return { invalid: `${path} が空です` };
+    }
+
+    switch (rule.type) {
+      case 'string': {
+        if (typeof value === 'number') {
+          value = String(value);
+          problems.push(`${path} を文字列に直しました`);
+        }
+        if (typeof value !== 'string') return { invalid: `${path} が文字列ではありません` };
+        if (rule.minLength && value.trim().length < rule.minLength) return { invalid: `${path} が空です` };
+        if (rule.maxLength && value.length > rule.maxLength) {
+          problems.push(`${path} が長すぎるため${rule.maxLength}文字に切り詰めました`);
+          value = value.slice(0, rule.maxLength);
+        }
+        return { value };
+      }
+
+      case 'number':
+      case 'integer': {
+        if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) {
+          value = Number(value);
+          problems.push(`${path} を数値に直しました`);
+        }
+        if (typeof value !== 'number' || !Number.isFinite(value)) return { invalid: `${path} が数値ではありません` };
+        if (rule.type === 'integer' && !Number.isInteger(value)) {
+          value = Math.round(value);
+          problems.push(`${path} を整数に丸めました`);
+        }
+        const clamped = Math.min(rule.max, Math.max(rule.min, value));
+        if (clamped !== value) {
+          problems.push(`${path} が範囲外 (${value}) のため ${clamped} にしました`);
+          value = clamped;
+        }
+        return { value };
+      }
+
+      case 'timestamp': {
+        if (typeof value === 'string' && !Number.isNaN(Date.parse(value))) {
+          value = Date.parse(value);
+          problems.push(`${path} を日時の数値に直しました`);
+        }
+        if (typeof value !== 'number' || !Number.isFinite(value)) return { invalid: `${path} が日時ではありません` };
+        if (value < MIN_TIMESTAMP || value > Date.now() + MAX_FUTURE_MS) return { invalid: `${path} の日時がありえない値です` };
+        return { value: Math.round(value) };
+      }
+
+      case 'date':
+        if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return { invalid: `${path} が日付 (YYYY-MM-DD) ではありません` };
+        return { value };
+
+      case 'boolean':
+        if (typeof value !== 'boolean') return { invalid: `${path} が真偽値ではありません` };
+        return { value };
+
+      case 'enum':
+        if (!rule.values.includes(value)) return { invalid: `${path} の値 (${String(value).slice(0, 20)}) は使えません` };
+        return { value };
+
+      case 'array': {
+        if (!Array.isArray(value)) return { invalid: `${path} が配列ではありません` };
+        let items = value;
+        if (items.length > rule.maxItems) {
+          problems.push(`${path} が多すぎるため先頭の${rule.maxItems}件にしました`);
+          items = items.slice(0, rule.maxItems);
+        }
+        const result = [];
+        items.forEach((item, i) => {
+          const checked = conformValue(rule.items, item, `${path}[${i}]`, problems);
+          if (checked.invalid) problems.push(`${checked.invalid}。この項目を除きました`);
+          else if ('value' in checked) result.push(checked.value);
+        });
+        return { value: result };
+      }
+
+      case 'object': {
+        if (!isPlainObject(value)) return { invalid: `${path} の形式が正しくありません` };
+        const result = {};
+        const entries = rule.fields ? Object.entries(rule.fields) : Object.keys(value).map(key => [key, rule.values]);
+        for (const [key, fieldRule] of entries) {
+          const checked = conformValue(fieldRule, value[key], `${path}.${key}`, problems);
+          if (checked.invalid && fieldRule.required) return checked;
+          if (checked.invalid) problems.push(`${checked.invalid}。既定値に戻しました`);
+          else if ('value' in checked) result[key] = checked.value;
+        }
+        return { value: result };
+      }
+
+      default:
+        return { value };
+    }
+  }
+
+  /**
+   * 1件のレコードを検証（スキーマにない項目は古い版の一時的な項目などなので黙って除く）
+   * @returns {{ record: Object|null, problems: string[], reason: string|null }}
+   */
+  function conformRecord(schema, record) {
+    if (!isPlainObject(record)) return { record: null, problems: [], reason: 'レコードの形式が正しくありません' };
+    const problems = [];
+    const result = {};
+    for (const [key, rule] of Object.entries(schema)) {
+      const checked = conformValue(rule, record[key], key, problems);
+      if (checked.invalid && rule.required) return { record: null, problems, reason: checked.invalid };
+      if (checked.invalid) problems.push(`${checked.invalid}。既定値に戻しました`);
+      else if ('value' in checked) result[key] = checked.value;
+    }
+    return { record: result, problems, reason: null };
+  }
+
+  /**
+   * 取り込むJSONを書き込まずに検証する（ドライラン）
+   * @param {string} jsonString - エクスポート形式のJSON
+   * @returns {{ version: number, counts: Object, issues: Array, data: Object }}
+   *   counts: 種類ごとの { total, accepted, repaired, rejected }
+   *   issues: 除外・修正したレコード { kind, index (1始まり), label, status: 'rejected'|'repaired', problems }
+   *   data: 検証を通ったレコードだけの取り込み用データ
+   */
+  function validateImport(jsonString) {
+    let data;
     try {
-      const data = JSON.parse(jsonString);
+      data = JSON.parse(jsonString);
+    } catch (e) {
+      throw new Error('JSONとして読めません');
+    }
+
+    // 暗号化されたバックアップは先に復号してもらう（BackupCrypto.decrypt）
+    if (isPlainObject(data) && data.format === 'vocabsnap-encrypted') {
+      throw new Error('パスワードで暗号化されたファイルです。復号してから取り込んでください');
+    }
+
+    // 【セキュリティ視点】データ構造バリデーション
+    if (!isPlainObject(data) || !Array.isArray(data.words)) {
+      throw new Error('無効なデータ形式です');
+    }
+    const version = data.version === undefined ? 1 : data.version;
+    if (!Number.isInteger(version) || version < 1) {
+      throw new Error('データ形式のバージョンが正しくありません');
+    }
+    if (version > EXPORT_VERSION) {
+      throw new Error('新しいバージョンのアプリで書き出したデータです。アプリを更新してから取り込んでください');
+    }
+
+    const report = {
+      version,
+      counts: {},
+      issues: [],
+      data: { version: EXPORT_VERSION, words: [], studyLogs: [], reviews: [] }
+    };
 
-      // 【セキュリティ視点】データ構造バリデーション
-      if (!data.words || !Array.isArray(data.words)) {
-        throw new Error('無効なデータ形式です');
+    const check = (kind, schema, label, extraCheck) => {
+      const counts = { total: 0, accepted: 0, repaired: 0, rejected: 0 };
+      report.counts[kind] = counts;
+      const list = data[kind];
+      if (list === undefined) return;
+      if (!Array.isArray(list)) {
+        report.issues.push({ kind, index: null, label: '', status: 'rejected', problems: [`${kind} が配列ではないため取り込みません`] });
+        return;
       }
 
-      let existingWords = [];
-      if (mergeMode) {
-        existingWords = await getAllWords();
+      list.forEach((raw, i) => {
+        counts.total++;
+        let { record, problems, reason } = conformRecord(schema, raw);
+        if (record && extraCheck) reason = extraCheck(record, problems);
+        const issue = { kind, index: i + 1, label: isPlainObject(raw) ? label(raw) : '', problems };
+        if (!record || reason) {
+          counts.rejected++;
+          report.issues.push({ ...issue, status: 'rejected', problems: [...problems, reason] });
+          return;
+        }
+        counts.accepted++;
+        if (problems.length > 0) {
+          counts.repaired++;
+          report.issues.push({ ...issue, status: 'repaired' });
+        }
+        report.data[kind].push(record);
+      });
+    };
+
+    const wordIds = new Set();
+    check('words', WORD_SCHEMA, w => String(w.word || ''), (word, problems) => {
+      if (word.id && wordIds.has(word.id)) {
+        problems.push('id が他の単語と重なっているため新しいIDにしました');
+        delete word.id;
       }
+      if (word.id) wordIds.add(word.id);
+      return null;
+    });
+    check('studyLogs', STUDY_LOG_SCHEMA, log => String(log.date || ''));
+    check('reviews', REVIEW_SCHEMA, r => String(r.wordId || ''),
+      review => (wordIds.has(review.wordId) ? null : '対応する単語がファイルにありません'));
 
-      if (!mergeMode) {
-        await clearAllWords();
+    return report;
+  }
+
+  /**
+   * 取り込むJSONを読み、検証を通ったレコードだけを返す
+   */
+  function parseImport(jsonString) {
+    return validateImport(jsonString).data;
+  }
+
+  /**
+   * @param {string} jsonString - エクスポート形式のJSON
+   * @param {boolean} [mergeMode] - true: 既定のルールで既存の単語に統合 / false: 置き換え
+   * @returns {Promise<number>} 追加した単語数
+   */
+  async function importData(jsonString, mergeMode = false) {
+    try {
+      if (mergeMode) {
+        const result = await applyImport(await planImport(jsonString));
+        return result.added;
       }
 
-      const tx = db.transaction(['words', 'studyLogs'], 'readwrite');
-      const wordStore = tx.objectStore('words');
-      const logStore = tx.objectStore('studyLogs');
+      const data = parseImport(jsonString);
+      await clearAllWords('import');
 
-      // マージ時は重複チェック
-      const existingSet = new Set(existingWords.map(w => w.word.toLowerCase()));
+      const tx = db.transaction(['words', 'studyLogs', 'reviews', 'revisions', 'trash'], 'readwrite');
+      const logStore = tx.objectStore('studyLogs');
+      const reviewStore = tx.objectStore('reviews');
+      const trashStore = tx.objectStore('trash');
       let addedCount = 0;
 
       for (const word of data.words) {
-        if (mergeMode && existingSet.has((word.word || '').toLowerCase())) {
-          continue; // 重複スキップ
-        }
         const validated = createWordEntry(word);
         validated.createdAt = word.createdAt || Date.now();
-        if (mergeMode) {
-          validated.id = Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
-        }
-        wordStore.put(validated);
+        putWord(tx, validated, 'import');
+        // バックアップの復元で同じIDの単語が戻ったら、直前にゴミ箱へ移した分は消す
+        // （残すと削除済みとして一覧されるうえ、IDが使われているので元に戻せない。取り込み前の状態はスナップショットにある）
+        trashStore.delete(validated.id);
         addedCount++;
       }
 
-      if (!mergeMode && data.studyLogs && Array.isArray(data.studyLogs)) {
+      if (data.studyLogs && Array.isArray(data.studyLogs)) {
         for (const log of data.studyLogs) {
           logStore.add(log);
         }
       }
 
+      if (Array.isArray(data.reviews)) {
+        reviewStore.clear();
+        for (const review of data.reviews) {
+          if (!review.wordId) continue;
+          reviewStore.add(createReviewEntry(review));
+        }
+      }
+
       return new Promise((resolve, reject) => {
         tx.oncomplete = () => resolve(addedCount);
         tx.onerror = () => reject(tx.error);
@@ -366,6 +1910,143 @@ const VocabDB = (function () {
     }
   }
 
+  // --- 統合して取り込み ---
+  /**
+   * 綴りが同じ既存の単語へのフィールド別の取り込みルール
+   * 'mine': 自分の値を残す / 'theirs': 取り込む側の値（空なら自分の値） /
+   * 'union': 和集合（意味は「；」区切りの項目単位） / 'newest': updatedAt の新しい方
+   * 学習状況・成績は常に自分のものを残す
+   */
+  const DEFAULT_IMPORT_RULES = {
+    meaning: 'newest',
+    pos: 'newest',
+    phonetic: 'newest',
+    memo: 'mine',
+    examples: 'union',
+    synonyms: 'union',
+    antonyms: 'union',
+    tags: 'union'
+  };
+
+  // 両方に値があって食い違うと「競合」として報告するフィールド
+  const SCALAR_IMPORT_FIELDS = ['meaning', 'pos', 'phonetic', 'memo'];
+
+  function isEmptyValue(value) {
+    return Array.isArray(value) ? value.length === 0 : !String(value || '').trim();
+  }
+
+  function applyImportRule(rule, field, mine, theirs) {
+    const a = mine[field] !== undefined ? mine[field] : emptyValue(field);
+    const b = theirs[field] !== undefined ? theirs[field] : emptyValue(field);
+    if (isEmptyValue(b)) return a;
+
+    switch (rule) {
+      case 'theirs':
+        return b;
+      case 'union':
+        if (field === 'meaning') return mergeMeanings([a, b]);
+        if (field === 'examples') return unionBy([a, b], ex => normalizeSpelling(ex.en));
+        if (ARRAY_FIELDS.includes(field)) return unionBy([a, b], field === 'tags' ? t => t : normalizeSpelling);
+        return [...new Set([a, b].map(v => String(v).trim()).filter(Boolean))].join('\n');
+      case 'newest':
+        return (theirs.updatedAt || 0) > (mine.updatedAt || 0) ? b : a;
+      default:
+        return a;
+    }
+  }
+
+  /**
+   * 取り込みの事前レポートを作る（保存はしない）
+   * @param {string} jsonString - エクスポート形式のJSON
+   * @param {Object} [rules] - フィールド → ルール（DEFAULT_IMPORT_RULES を上書き）
+   * @returns {Promise<{ added, updated, skipped, conflicts }>}
+   *   added: 新しい単語 / updated: ルールで内容が変わる単語 / skipped: 変更のない単語・ファイル内の重複 /
+   *   conflicts: 意味などが双方で食い違う単語（各 { mine, theirs, result, changed, disagreements }）
+   */
+  async function planImport(jsonString, rules = {}) {
+    const data = parseImport(jsonString);
+    const fieldRules = { ...DEFAULT_IMPORT_RULES, ...rules };
+    const existing = await findExistingWords(data.words.map(w => w.word || ''));
+    const plan = { added: [], updated: [], skipped: [], conflicts: [] };
+    const seen = new Set();
+
+    data.words.forEach(theirs => {
+      const key = normalizeSpelling(theirs.word);
+      if (!key) return;
+      if (seen.has(key)) {
+        plan.skipped.push({ theirs, reason: 'duplicate' });
+        return;
+      }
+      seen.add(key);
+
+      const mine = existing.get(key);
+      if (!mine) {
+        plan.added.push(theirs);
+        return;
+      }
+
+      const result = { ...mine };
+      const changed = [];
+      Object.entries(fieldRules).forEach(([field, rule]) => {
+        const value = applyImportRule(rule, field, mine, theirs);
+        if (JSON.stringify(value) !== JSON.stringify(mine[field] !== undefined ? mine[field] : emptyValue(field))) {
+          result[field] = value;
+          changed.push(field);
+        }
+      });
+      const disagreements = SCALAR_IMPORT_FIELDS.filter(field =>
+        !isEmptyValue(mine[field]) && !isEmptyValue(theirs[field]) &&
+        String(mine[field]).trim() !== String(theirs[field]).trim());
+
+      const entry = { mine, theirs, result, changed, disagreements };
+      if (disagreements.length > 0) plan.conflicts.push(entry);
+      else if (changed.length > 0) plan.updated.push(entry);
+      else plan.skipped.push({ ...entry, reason: 'unchanged' });
+    });
+    return plan;
+  }
+
+  /**
+   * 事前レポートの内容で取り込む（1トランザクション）
+   * @param {Object} plan - planImport の結果
+   * @param {Object} [choices] - 競合した単語ID → 'mine' | 'theirs'（省略時はルールどおり）
+   * @returns {Promise<{ added: number, updated: number }>}
+   */
+  async function applyImport(plan, choices = {}) {
+    const existingIds = new Set(await promisify(getStore('words').getAllKeys()));
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(['words', 'revisions', 'trash'], 'readwrite');
+      const now = Date.now();
+      const result = { added: 0, updated: 0 };
+
+      plan.added.forEach(theirs => {
+        // 別の単語とIDが重なる場合だけ新しいIDにする
+        const word = createWordEntry({ ...theirs, id: existingIds.has(theirs.id) ? null : theirs.id });
+        word.createdAt = theirs.createdAt || now;
+        existingIds.add(word.id);
+        putWord(tx, word, 'import', now);
+        tx.objectStore('trash').delete(word.id); // ゴミ箱にある同じ単語は取り込んだ方で置き換わる
+        result.added++;
+      });
+
+      [...plan.updated, ...plan.conflicts].forEach(entry => {
+        const word = { ...entry.result };
+        const choice = choices[entry.mine.id];
+        if (choice) {
+          entry.disagreements.forEach(field => {
+            word[field] = (choice === 'theirs' ? entry.theirs : entry.mine)[field];
+          });
+        }
+        word.updatedAt = now;
+        putWord(tx, word, 'import', now);
+        result.updated++;
+      });
+
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
   /**
    * 単語をテキスト形式でエクスポート（コピー/共有用）
    * ※ exportAsTextは上で定義済み
@@ -413,10 +2094,21 @@ const VocabDB = (function () {
     return importData(json, mergeMode);
   }
 
-  async function clearAllWords() {
+  /**
+   * すべての単語をゴミ箱へ移し、学習ログ（日ごとの学習記録）を削除（直前にスナップショットを取る）
+   * @param {string} [reason] - スナップショットの理由
+   */
+  async function clearAllWords(reason = 'clear') {
+    await takeSnapshot(reason);
     return new Promise((resolve, reject) => {
-      const tx = db.transaction('words', 'readwrite');
-      tx.objectStore('words').clear();
+      const tx = db.transaction(['words', 'reviews', 'trash', 'studyLogs'], 'readwrite');
+      const getWords = tx.objectStore('words').getAll();
+      const getReviews = tx.objectStore('reviews').getAll();
+      getReviews.onsuccess = () => {
+        trashWords(tx, getWords.result, getReviews.result, Date.now());
+        tx.objectStore('reviews').clear(); // 単語の残っていない回答ログも残さない
+        tx.objectStore('studyLogs').clear();
+      };
       tx.oncomplete = () => resolve();
       tx.onerror = () => reject(tx.error);
     });
@@ -427,6 +2119,20 @@ const VocabDB = (function () {
     return promisify(store.count());
   }
 
+  /**
+   * 学習画面の件数を索引の件数だけで取得（単語は読み込まない）
+   * @returns {Promise<{ total, active, readable }>} active: 一時停止中を除いた数 / readable: 例文リーディングの対象
+   */
+  async function getStudyCounts() {
+    const store = getStore('words');
+    const [total, suspended, readable] = await Promise.all([
+      promisify(store.count()),
+      promisify(store.index('suspendedAt').count()),
+      promisify(store.index('readable').count())
+    ]);
+    return { total, active: total - suspended, readable };
+  }
+
   // --- 公開API ---
   return {
     init,
@@ -435,24 +2141,64 @@ const VocabDB = (function () {
     getWord,
     getAllWords,
     updateWord,
+    updateWords,
+    getWordRevisions,
+    revertWord,
+    findExistingWords,
+    findDuplicateGroups,
+    mergeWordData,
+    mergeDuplicates,
     deleteWord,
+    deleteWords,
+    getTrash,
+    restoreFromTrash,
+    purgeTrash,
+    purgeExpiredTrash,
     getBookmarkedWords,
     searchWords,
     getDueWords,
+    getNewWords,
+    countNewWords,
+    getReviewLoad,
+    getWordsByIds,
     getWeakWords,
     getMasteredWords,
+    getHomeStats,
     getWordCount,
+    getStudyCounts,
     addStudyLog,
+    deleteStudyLog,
     getStudyLogs,
     getStreak,
+    saveAnswer,
+    revertAnswer,
+    getReviews,
+    getWordReviews,
     getSetting,
     setSetting,
     exportData,
     importData,
+    validateImport,
+    EXPORT_VERSION,
+    planImport,
+    applyImport,
+    DEFAULT_IMPORT_RULES: { ...DEFAULT_IMPORT_RULES },
     exportAsText,
     importFromText,
     getAllTags,
     getWordsByTags,
-    clearAllWords
+    clearAllWords,
+    getMigrationBackups,
+    exportMigrationBackup,
+    takeSnapshot,
+    takeDailySnapshot,
+    getSnapshots,
+    exportSnapshot,
+    restoreSnapshot,
+    deleteSnapshot,
+    setSnapshotKeep,
+    DEFAULT_SNAPSHOT_KEEP,
+    testMigration,
+    runMigrationFixtures
   };
 })();
@@ -0,0 +1,204 @@
+/* ======================================================
+   スケジューラ最適化ワーカー
+   ======================================================
+   【アーキテクト視点】
+   - 回答ログ (reviews) から FSRS の重みを学習者ごとに当てはめる
+   - メインスレッドを止めないよう Web Worker で計算
+   - 予測モデルは srs.js の nextMemoryState をそのまま使い、本番の出題と食い違わない
+
+   【ユーザー視点】
+   - 回答履歴は端末の中だけで計算し、外部には一切送信しない
+   - 既定値と最適化後で「予測した正答率」と「実際の正答率」を比べられる
+
+   メッセージ:
+   - 受信: { reviews, weights }
+   - 送信: { type: 'progress', value } / { type: 'done', result } / { type: 'error', message }
+   ====================================================== */
+
+importScripts('srs.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_SAMPLES = 100; // これ未満の復習数では当てはめない
+const MAX_ITERATIONS = 300;
+const LEARNING_RATE = 0.02;
+const PRIOR_STRENGTH = 10; // 既定値から離れすぎないための正則化（データが多いほど弱まる）
+
+// FSRS の各重みの取りうる範囲
+const BOUNDS = [
+  [0.1, 100], [0.1, 100], [0.1, 100], [0.1, 100],
+  [1, 10], [0.1, 4], [0.1, 4], [0, 0.75],
+  [0, 4.5], [0, 0.8], [0.01, 3.5], [0.1, 5],
+  [0.01, 0.25], [0.01, 0.9], [0.01, 4], [0, 1], [1, 6]
+];
+
+// 予測と実際を比べる区間（予測した想起確率）
+const BINS = [0, 0.7, 0.8, 0.9, 0.95, 1.01];
+
+/**
+ * 回答ログを単語×トラックごとの回答列に変換
+ * - 同じ日の2回目以降（学習ステップ）は長期記憶の予測対象外なので除く
+ * - 記録が途中から始まる回答列（ログ導入前に学習済み）は再現できないので除く
+ * - マッチング・詰め込み復習は通常の予定を動かさないので除く
+ */
+function buildSequences(reviews) {
+  const groups = new Map();
+  reviews
+    .filter(r => r.mode !== 'matching' && r.mode !== 'cram' && r.srsBefore && r.grade != null)
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .forEach(r => {
+      const key = `${r.wordId}:${r.track || 'recognition'}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(r);
+    });
+
+  const sequences = [];
+  groups.forEach(list => {
+    if (SRS.getPhase(list[0].srsBefore) !== 'new') return;
+    const days = [];
+    list.forEach(r => {
+      const last = days[days.length - 1];
+      if (last && SRS.startOfDay(last.timestamp) === SRS.startOfDay(r.timestamp)) return;
+      days.push({ timestamp: r.timestamp, grade: SRS.toGrade(r.grade) });
+    });
+    if (days.length >= 2) sequences.push(days);
+  });
+  return sequences;
+}
+
+/**
+ * 回答列を重み w で再生し、2回目以降の各回答について予測した想起確率と実際の結果を集める
+ */
+function predict(sequences, w) {
+  const samples = [];
+  sequences.forEach(seq => {
+    let memory = null;
+    let last = 0;
+    seq.forEach(item => {
+      const elapsed = (item.timestamp - last) / DAY_MS;
+      if (memory) {
+        samples.push({
+          p: SRS.retrievability(elapsed, memory.stability),
+          recalled: item.grade > 1
+        });
+      }
+      memory = SRS.nextMemoryState(memory, item.grade, elapsed, w);
+      last = item.timestamp;
+    });
+  });
+  return samples;
+}
+
+function logLoss(samples) {
+  if (samples.length === 0) return 0;
+  let sum = 0;
+  samples.forEach(s => {
+    const p = Math.min(1 - 1e-6, Math.max(1e-6, s.p));
+    sum -= s.recalled ? Math.log(p) : Math.log(1 - p);
+  });
+  return sum / samples.length;
+}
+
+/**
+ * 予測と実際の正答率（全体・区間別）
+ */
+function summarize(samples) {
+  const mean = list => list.length ? list.reduce((a, b) => a + b, 0) / list.length : 0;
+  const bins = [];
+  for (let i = 0; i < BINS.length - 1; i++) {
+    const inBin = samples.filter(s => s.p >= BINS[i] && s.p < BINS[i + 1]);
+    bins.push({
+      from: BINS[i],
+      to: Math.min(1, BINS[i + 1]),
+      count: inBin.length,
+      predicted: mean(inBin.map(s => s.p)),
+      actual: mean(inBin.map(s => (s.recalled ? 1 : 0)))
+    });
+  }
+  return {
+    logLoss: logLoss(samples),
+    predicted: mean(samples.map(s => s.p)),
+    actual: mean(samples.map(s => (s.recalled ? 1 : 0))),
+    bins
+  };
+}
+
+// 最適化は各重みを範囲で [0, 1] に正規化して行う
+const toUnit = w => w.map((v, i) => (v - BOUNDS[i][0]) / (BOUNDS[i][1] - BOUNDS[i][0]));
+const fromUnit = x => x.map((v, i) => BOUNDS[i][0] + Math.min(1, Math.max(0, v)) * (BOUNDS[i][1] - BOUNDS[i][0]));
+
+/**
+ * Adam + 数値微分で対数損失を最小化
+ */
+function fit(sequences, initial, sampleCount) {
+  const prior = toUnit(initial);
+  const priorWeight = PRIOR_STRENGTH / sampleCount;
+  const objective = x => logLoss(predict(sequences, fromUnit(x))) +
+    priorWeight * x.reduce((sum, v, i) => sum + (v - prior[i]) ** 2, 0);
+
+  let x = prior.slice();
+  const m = new Array(x.length).fill(0);
+  const v = new Array(x.length).fill(0);
+  const eps = 1e-4;
+  let best = { x: x.slice(), loss: objective(x) };
+  let stale = 0;
+
+  for (let t = 1; t <= MAX_ITERATIONS; t++) {
+    const grad = x.map((_, i) => {
+      const plus = x.slice();
+      const minus = x.slice();
+      plus[i] += eps;
+      minus[i] -= eps;
+      return (objective(plus) - objective(minus)) / (2 * eps);
+    });
+
+    x = x.map((xi, i) => {
+      m[i] = 0.9 * m[i] + 0.1 * grad[i];
+      v[i] = 0.999 * v[i] + 0.001 * grad[i] * grad[i];
+      const mHat = m[i] / (1 - Math.pow(0.9, t));
+      const vHat = v[i] / (1 - Math.pow(0.999, t));
+      return Math.min(1, Math.max(0, xi - LEARNING_RATE * mHat / (Math.sqrt(vHat) + 1e-8)));
+    });
+
+    const loss = objective(x);
+    if (loss < best.loss - 1e-7) {
+      best = { x: x.slice(), loss };
+      stale = 0;
+    } else if (++stale >= 30) {
+      break; // 改善が止まったら打ち切り
+    }
+
+    if (t % 5 === 0) self.postMessage({ type: 'progress', value: t / MAX_ITERATIONS });
+  }
+
+  return fromUnit(best.x).map(w => Math.round(w * 10000) / 10000);
+}
+
+self.onmessage = (e) => {
+  try {
+    const { reviews, weights } = e.data;
+    const initial = weights && weights.length === BOUNDS.length ? weights : SRS.DEFAULT_WEIGHTS;
+    const sequences = buildSequences(reviews || []);
+    const sampleCount = predict(sequences, initial).length;
+
+    if (sampleCount < MIN_SAMPLES) {
+      self.postMessage({
+        type: 'error',
+        message: `翌日以降の復習記録が${MIN_SAMPLES}件以上必要です（現在${sampleCount}件）`
+      });
+      return;
+    }
+
+    const fitted = fit(sequences, initial, sampleCount);
+    self.postMessage({
+      type: 'done',
+      result: {
+        weights: fitted,
+        samples: sampleCount,
+        before: summarize(predict(sequences, initial)),
+        after: summarize(predict(sequences, fitted))
+      }
+    });
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message });
+  }
+};
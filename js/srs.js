@@ -1,8 +1,16 @@
 /* ======================================================
-   SRS - 間隔反復アルゴリズム (SM-2ベース)
+   SRS - 間隔反復アルゴリズム (SM-2 / FSRS)
    ======================================================
    【アーキテクト視点】
    - SM-2 アルゴリズムを採用: 学術的に実証済みの手法
+   - FSRS (安定度/難易度/想起確率モデル) を設定で選択可能
+   - 新規・失敗した単語は分単位の学習ステップで当日中に再出題
+   - 何度も忘れる単語 (リーチ) はタグ付け・一時停止して復習の渋滞を防ぐ
+   - タグごとにプリセット（新規数・学習ステップ・最大間隔・初期容易度・目標保持率）を設定可能
+   - 間隔にばらつき (fuzz) を付け、予定の少ない日に寄せて1日の復習数を平準化
+   - 目標保持率 (desiredRetention) から間隔を決める（SM-2 は 90% を基準に伸縮）
+   - 試験日を設定したタグは詰め込み復習で試験までに N 回出題（word.srs は変えない）
+   - 本番と同じ計算で今後の復習数をシミュレーションし、単語を追加する前に負荷を確認できる
    - 品質(quality)は 0-5 の6段階で評価
    - 0-2: 不正解(リセット), 3: ギリギリ, 4: 正解, 5: 完璧
    
@@ -17,6 +25,112 @@ const SRS = (function () {
   // SM-2 アルゴリズムの定数
   const MIN_EASE_FACTOR = 1.3;
   const DEFAULT_EASE_FACTOR = 2.5;
+  // 評価ごとに間隔を変える係数
+  const HARD_INTERVAL = 1.2;
+  const EASY_BONUS = 1.3;
+  // 初回の正解で Easy を選んだときの間隔（日）
+  const FIRST_EASY_INTERVAL = 4;
+
+  // FSRS v4.5 の定数 (公開されているデフォルト重み)
+  const FSRS_DEFAULT_WEIGHTS = [
+    0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031,
+    1.6474, 0.1367, 1.0461, 2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755
+  ];
+  const FSRS_DECAY = -0.5;
+  // SM-2 の既定の間隔が想定している保持率
+  const SM2_BASE_RETENTION = 0.9;
+  const FSRS_FACTOR = 19 / 81;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const MINUTE_MS = 60 * 1000;
+  // 学習ステップ中のカードは、この時間内に期限が来るなら前倒しで出題
+  const LEARN_AHEAD_MS = 20 * MINUTE_MS;
+
+  // 4段階評価 (Again / Hard / Good / Easy) と品質(0-5)の対応
+  const GRADES = {
+    again: 1,
+    hard: 3,
+    good: 4,
+    easy: 5
+  };
+
+  // スケジューラ設定（起動時に App から configure で注入）
+  const config = {
+    algorithm: 'sm2', // 'sm2' | 'fsrs'
+    weights: FSRS_DEFAULT_WEIGHTS.slice(),
+    desiredRetention: 0.9, // 目標保持率: 次の復習時に思い出せる確率
+    learningSteps: [1, 10], // 新規カードの学習ステップ（分）
+    relearningSteps: [10], // 失敗したカードの再学習ステップ（分）
+    leechThreshold: 8, // この回数忘れたらリーチと判定
+    leechAction: 'tag', // 'tag' | 'suspend'
+    maxInterval: 36500, // 最大間隔（日）
+    startingEase: DEFAULT_EASE_FACTOR, // 新規カードの初期容易度 (SM-2)
+    fuzz: false, // 3日以上の間隔にばらつきを付ける
+    loadBalance: false, // ばらつきの範囲内で予定の少ない日を選ぶ（fuzz が有効なときのみ）
+    presets: {} // タグ名 → 出題設定（PRESET_KEYS のうち指定したものだけ上書き）
+  };
+
+  const LEECH_TAG = 'leech';
+  const PRESET_KEYS = ['newPerDay', 'learningSteps', 'maxInterval', 'startingEase', 'desiredRetention'];
+
+  /**
+   * スケジューラ設定を更新
+   * @param {Object} options - { algorithm, weights, desiredRetention, learningSteps, relearningSteps, leechThreshold, leechAction, maxInterval, startingEase, presets }
+   */
+  function configure(options) {
+    Object.keys(options || {}).forEach(key => {
+      if (options[key] !== undefined && options[key] !== null) config[key] = options[key];
+    });
+  }
+
+  function getAlgorithm() {
+    return config.algorithm;
+  }
+
+  // ===================================================
+  // タグ別プリセット（デッキ設定）
+  // ===================================================
+
+  /**
+   * 単語に適用するプリセットのタグ（単語のタグ順で最初にプリセットを持つもの）
+   * @returns {string|null}
+   */
+  function presetTagFor(word) {
+    return ((word && word.tags) || []).find(tag => config.presets[tag]) || null;
+  }
+
+  /**
+   * 単語に適用する出題設定（全体設定にタグのプリセットを重ねたもの）
+   * @param {Object} word - 単語オブジェクト
+   * @returns {Object} config と同じ形の設定
+   */
+  function optionsFor(word) {
+    const tag = presetTagFor(word);
+    if (!tag) return config;
+    const preset = config.presets[tag];
+    const options = { ...config };
+    PRESET_KEYS.forEach(key => {
+      if (preset[key] !== undefined && preset[key] !== null) options[key] = preset[key];
+    });
+    return options;
+  }
+
+  /**
+   * 正解時の間隔（日）。Good は SM-2 本来の間隔（1日 → 6日 → 前回 × 容易度）
+   * Hard は前回の 1.2 倍、Easy は Good の 1.3 倍とし、Hard < Good < Easy を保つ
+   * @param {number} quality - 3 (Hard) / 4 (Good) / 5 (Easy)
+   */
+  function correctInterval(quality, repetitions, easeFactor, interval) {
+    if (!interval) {
+      // 学習ステップからの卒業（Hard / Good は当日中のステップとして扱われる）
+      return quality === 5 ? FIRST_EASY_INTERVAL : 1;
+    }
+    const base = repetitions === 0 ? 1 : repetitions === 1 ? 6 : Math.round(interval * easeFactor);
+    const hard = Math.max(interval + 1, Math.round(interval * HARD_INTERVAL));
+    const good = Math.max(hard + 1, base);
+    const easy = Math.max(good + 1, Math.round(good * EASY_BONUS));
+    if (quality === 3) return hard;
+    return quality === 5 ? easy : good;
+  }
 
   /**
    * SM-2 に基づいて次回復習パラメータを計算
@@ -24,32 +138,26 @@ const SRS = (function () {
    * @param {number} repetitions - 連続正解回数
    * @param {number} easeFactor - 容易度 (≥ 1.3)
    * @param {number} interval - 現在のインターバル（日）
+   * @param {number} [now] - 基準時刻 (ms)
+   * @param {Object} [options] - 出題設定（optionsFor の結果。desiredRetention / maxInterval を使用）
    * @returns {{ repetitions, easeFactor, interval, nextReview }}
+   *   interval は SM-2 本来の間隔、nextReview は目標保持率で伸縮した日数後
    */
-  function calculate(quality, repetitions, easeFactor, interval) {
+  function calculate(quality, repetitions, easeFactor, interval, now = Date.now(), options = config) {
     let newRepetitions = repetitions;
     let newEaseFactor = easeFactor;
     let newInterval = interval;
 
     if (quality >= 3) {
-      // 正解
-      switch (newRepetitions) {
-        case 0:
-          newInterval = 1;
-          break;
-        case 1:
-          newInterval = 6;
-          break;
-        default:
-          newInterval = Math.round(interval * easeFactor);
-          break;
-      }
+      // 正解: Hard < Good < Easy の順に必ず長くなるようにする
+      newInterval = correctInterval(quality, repetitions, easeFactor, interval);
       newRepetitions++;
     } else {
       // 不正解: リセット
       newRepetitions = 0;
       newInterval = 1;
     }
+    newInterval = Math.min(newInterval, options.maxInterval);
 
     // 容易度の更新
     newEaseFactor = easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
@@ -57,28 +165,796 @@ const SRS = (function () {
       newEaseFactor = MIN_EASE_FACTOR;
     }
 
-    // 次回復習日時
-    const nextReview = Date.now() + (newInterval * 24 * 60 * 60 * 1000);
+    // 次回復習日時（目標保持率で伸縮。伸縮は記録する間隔には含めないので積み重ならない）
+    const delay = adjustInterval(
+      Math.max(1, Math.round(newInterval * retentionScale(options.desiredRetention))),
+      now,
+      options
+    );
+    const nextReview = now + (delay * DAY_MS);
 
     return {
       repetitions: newRepetitions,
       easeFactor: Math.round(newEaseFactor * 100) / 100,
       interval: newInterval,
       nextReview: nextReview,
-      lastReview: Date.now()
+      lastReview: now
+    };
+  }
+
+  /**
+   * 目標保持率に対する SM-2 の間隔の倍率
+   * 忘却曲線 R = exp(-t / S) を仮定し、90% のとき 1 になるよう t ∝ -ln(R) で伸縮
+   * 例: 95% → 約0.49倍 / 85% → 約1.54倍 / 80% → 約2.12倍
+   */
+  function retentionScale(retention) {
+    const r = Math.min(0.99, Math.max(0.7, retention || SM2_BASE_RETENTION));
+    return Math.log(r) / Math.log(SM2_BASE_RETENTION);
+  }
+
+  // ===================================================
+  // FSRS
+  // ===================================================
+
+  /**
+   * 品質(0-5) を FSRS の評価 (1: Again, 2: Hard, 3: Good, 4: Easy) に変換
+   */
+  function toGrade(quality) {
+    if (quality < 3) return 1;
+    if (quality === 3) return 2;
+    if (quality === 4) return 3;
+    return 4;
+  }
+
+  /**
+   * 想起確率 R(t, S): 経過日数 t、安定度 S のときに思い出せる確率
+   */
+  function retrievability(elapsedDays, stability) {
+    return Math.pow(1 + FSRS_FACTOR * elapsedDays / stability, FSRS_DECAY);
+  }
+
+  /**
+   * 想起確率が retention まで下がるまでの日数
+   */
+  function fsrsInterval(stability, retention = config.desiredRetention) {
+    return stability / FSRS_FACTOR * (Math.pow(retention, 1 / FSRS_DECAY) - 1);
+  }
+
+  function clampDifficulty(d) {
+    return Math.min(10, Math.max(1, d));
+  }
+
+  function initStability(grade, w = config.weights) {
+    return Math.max(w[grade - 1], 0.1);
+  }
+
+  function initDifficulty(grade, w = config.weights) {
+    return clampDifficulty(w[4] - (grade - 3) * w[5]);
+  }
+
+  function nextDifficulty(d, grade, w = config.weights) {
+    const next = d - w[6] * (grade - 3);
+    // 平均回帰: 初期難易度(Good)へ少しずつ引き戻す
+    return clampDifficulty(w[7] * initDifficulty(3, w) + (1 - w[7]) * next);
+  }
+
+  function recallStability(d, s, r, grade, w = config.weights) {
+    const hardPenalty = grade === 2 ? w[15] : 1;
+    const easyBonus = grade === 4 ? w[16] : 1;
+    return s * (1 + Math.exp(w[8]) * (11 - d) * Math.pow(s, -w[9]) *
+      (Math.exp(w[10] * (1 - r)) - 1) * hardPenalty * easyBonus);
+  }
+
+  function forgetStability(d, s, r, w = config.weights) {
+    const next = w[11] * Math.pow(d, -w[12]) * (Math.pow(s + 1, w[13]) - 1) * Math.exp(w[14] * (1 - r));
+    return Math.min(next, s);
+  }
+
+  /**
+   * FSRS の記憶状態を1回の回答で更新（丸めなし。パラメータ最適化でも使用）
+   * @param {Object|null} memory - { stability, difficulty }（初回学習は null）
+   * @param {number} grade - 1: Again / 2: Hard / 3: Good / 4: Easy
+   * @param {number} elapsedDays - 前回の回答からの経過日数
+   * @param {Array<number>} [w] - FSRS の重み
+   * @returns {{ stability, difficulty }}
+   */
+  function nextMemoryState(memory, grade, elapsedDays, w = config.weights) {
+    if (!memory) {
+      return { stability: initStability(grade, w), difficulty: initDifficulty(grade, w) };
+    }
+    const r = retrievability(elapsedDays, memory.stability);
+    return {
+      stability: grade === 1
+        ? forgetStability(memory.difficulty, memory.stability, r, w)
+        : recallStability(memory.difficulty, memory.stability, r, grade, w),
+      difficulty: nextDifficulty(memory.difficulty, grade, w)
+    };
+  }
+
+  /**
+   * SM-2 の記録 (repetitions / easeFactor / interval) から FSRS の初期値を推定
+   * - 安定度: 保持率90%のとき FSRS の間隔 = 安定度 なので、現在の間隔をそのまま採用
+   * - 難易度: 容易度 2.5 → 5、1.3 → 10 となるよう線形に対応付け
+   * @param {Object} srs - SRSデータ
+   * @returns {Object} stability/difficulty を補ったSRSデータ
+   */
+  function migrate(srs) {
+    const data = normalize(srs);
+    if (data.stability && data.difficulty) return data;
+    if (!data.lastReview || data.phase === 'new' || data.phase === 'learning') {
+      return { ...data, stability: null, difficulty: null };
+    }
+    const ease = data.easeFactor || DEFAULT_EASE_FACTOR;
+    const difficulty = 10 - (ease - MIN_EASE_FACTOR) / (DEFAULT_EASE_FACTOR - MIN_EASE_FACTOR) * 5;
+    return {
+      ...data,
+      stability: Math.max(data.interval || 1, 0.1),
+      difficulty: Math.round(clampDifficulty(difficulty) * 100) / 100
+    };
+  }
+
+  /**
+   * FSRS に基づいて次回復習パラメータを計算
+   * @param {number} quality - 回答品質 (0-5)
+   * @param {Object} srs - 現在のSRSデータ
+   * @param {number} [now] - 基準時刻 (ms)
+   * @param {Object} [options] - 出題設定（weights / desiredRetention / maxInterval を使用）
+   * @returns {Object} 新しいSRSデータ
+   */
+  function calculateFSRS(quality, srs, now = Date.now(), options = config) {
+    const grade = toGrade(quality);
+    const current = migrate(srs);
+    // 初回学習は記憶状態なしから
+    const memory = current.lastReview && current.stability
+      ? { stability: current.stability, difficulty: current.difficulty }
+      : null;
+    const elapsed = memory ? Math.max(0, (now - current.lastReview) / DAY_MS) : 0;
+    const { stability, difficulty } = nextMemoryState(memory, grade, elapsed, options.weights);
+
+    const interval = grade === 1 ? 1 : adjustInterval(
+      Math.max(1, Math.round(fsrsInterval(stability, options.desiredRetention))),
+      now,
+      options
+    );
+
+    return {
+      ...current,
+      repetitions: grade === 1 ? 0 : current.repetitions + 1,
+      interval,
+      stability: Math.round(stability * 100) / 100,
+      difficulty: Math.round(difficulty * 100) / 100,
+      nextReview: now + interval * DAY_MS,
+      lastReview: now
+    };
+  }
+
+  /**
+   * 設定中のアルゴリズムで日単位の間隔を更新
+   */
+  function applyAlgorithm(current, quality, now, options) {
+    if (options.algorithm === 'fsrs') {
+      return calculateFSRS(quality, current, now, options);
+    }
+    // SM-2 で更新した時点で FSRS の値は古くなるため破棄し、次回切替時に再推定する
+    return {
+      ...current,
+      ...calculate(quality, current.repetitions, current.easeFactor, current.interval, now, options),
+      stability: null,
+      difficulty: null
+    };
+  }
+
+  // ===================================================
+  // 間隔のばらつき (fuzz) と負荷分散
+  // ===================================================
+  // 同じ日に登録・回答した単語が永遠に同じ日に期限を迎えないよう、間隔を前後に散らす
+
+  // 予定済みの日単位の復習件数（日の開始時刻 → 件数）。setWorkload で索引から数えた件数を受け取る
+  let workload = new Map();
+
+  /**
+   * ばらつきを付ける範囲（日）。短い間隔ほど割合を大きく、長い間隔ほど小さく
+   * @returns {Array<number>} [最小, 最大]
+   */
+  function fuzzRange(interval) {
+    const delta = 1 +
+      0.15 * Math.max(0, Math.min(interval, 7) - 2.5) +
+      0.1 * Math.max(0, Math.min(interval, 20) - 7) +
+      0.05 * Math.max(0, interval - 20);
+    return [Math.max(2, Math.round(interval - delta)), Math.round(interval + delta)];
+  }
+
+  /**
+   * 再現性のある乱数 (mulberry32)。プレビューやシミュレーションで毎回同じ結果にする
+   * @param {number} seed
+   * @returns {Function} 0 以上 1 未満を返す関数
+   */
+  function createRandom(seed) {
+    let a = seed >>> 0;
+    return function () {
+      a = (a + 0x6D2B79F5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * 最大間隔・ばらつき・負荷分散を反映した間隔（日）
+   * @param {number} interval - アルゴリズムが出した間隔（日）
+   * @param {number} now - 基準時刻 (ms)
+   * @param {Object} options - 出題設定（fuzz / loadBalance / maxInterval、任意で random / workload）
+   */
+  function adjustInterval(interval, now, options) {
+    const capped = Math.min(interval, options.maxInterval);
+    if (!options.fuzz || capped < 3) return capped;
+
+    const [min, max] = fuzzRange(capped).map(d => Math.min(d, options.maxInterval));
+    const random = options.random || Math.random;
+    if (!options.loadBalance) return min + Math.floor(random() * (max - min + 1));
+
+    // 予定の少ない日ほど、本来の間隔に近い日ほど選ばれやすい（同程度ならランダム）
+    const load = options.workload || workload;
+    let best = capped;
+    let bestScore = Infinity;
+    for (let d = min; d <= max; d++) {
+      const count = load.get(startOfDay(now + d * DAY_MS)) || 0;
+      const score = (count + 1) * (1 + Math.abs(d - capped) / capped) + random() * 0.5;
+      if (score < bestScore) {
+        best = d;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  function addWorkload(load, srs, amount) {
+    if (!srs || !srs.nextReview || getPhase(srs) !== 'review') return;
+    const key = startOfDay(srs.nextReview);
+    load.set(key, Math.max(0, (load.get(key) || 0) + amount));
+  }
+
+  /**
+   * 予定済みの復習件数を設定する（負荷分散の基準。以降の回答は updateWorkload で反映）
+   * @param {Map<number, number>} counts - 日の開始時刻 → 件数（VocabDB.getReviewLoad の結果）
+   */
+  function setWorkload(counts) {
+    workload = new Map(counts);
+  }
+
+  /**
+   * 単語の更新（回答・取り消し）を予定件数に反映
+   */
+  function updateWorkload(before, after) {
+    TRACKS.forEach(track => {
+      if (!before.suspended) addWorkload(workload, getTrack(before, track), -1);
+      if (!after.suspended) addWorkload(workload, getTrack(after, track), 1);
+    });
+  }
+
+  /**
+   * 今日の復習をすべて「正解」で終えた場合の、今後の1日ごとの復習件数を試算
+   * @param {Array} words - 単語配列
+   * @param {Object} settings - { fuzz, loadBalance, days, now, seed }
+   * @returns {{ days: Array<{ date, scheduled, added }>, dueToday: number }}
+   *   scheduled: 既に予定済みの件数 / added: 今日の回答で新たに入る件数
+   */
+  function previewWorkload(words, settings = {}) {
+    const now = settings.now || Date.now();
+    const days = settings.days || 30;
+    const random = createRandom(settings.seed || 1);
+    const load = new Map();
+    const due = [];
+
+    words.forEach(w => {
+      if (w.suspended) return;
+      TRACKS.forEach(track => {
+        const srs = getTrack(w, track);
+        if (getPhase(srs) !== 'review' || !srs.nextReview) return;
+        if (srs.nextReview < endOfDay(now)) due.push({ word: w, srs });
+        else addWorkload(load, srs, 1);
+      });
+    });
+
+    const base = new Map(load);
+    due.forEach(({ word, srs }) => {
+      const options = {
+        ...optionsFor(word),
+        fuzz: settings.fuzz,
+        loadBalance: settings.loadBalance,
+        workload: load,
+        random
+      };
+      addWorkload(load, schedule(srs, GRADES.good, now, options), 1);
+    });
+
+    const result = [];
+    for (let d = 1; d <= days; d++) {
+      const date = startOfDay(now + d * DAY_MS);
+      const scheduled = base.get(date) || 0;
+      result.push({ date, scheduled, added: (load.get(date) || 0) - scheduled });
+    }
+    return { days: result, dueToday: due.length };
+  }
+
+  /**
+   * 目標保持率ごとの1日あたりの復習数を見積もる（現在の単語帳が定常状態になったとき）
+   * 各カードは「間隔に1回」復習され、忘れた分 (1 - 保持率) だけ再学習ステップが加わるとみなす
+   * @param {Array} words - 単語配列
+   * @param {number} retention - 目標保持率 (0.7〜0.99)
+   * @returns {number} 1日あたりの復習数
+   */
+  function estimateDailyReviews(words, retention) {
+    let total = 0;
+    words.forEach(w => {
+      if (w.suspended) return;
+      const tag = presetTagFor(w);
+      const preset = tag ? config.presets[tag] : null;
+      const options = optionsFor(w);
+      const r = preset && preset.desiredRetention != null ? preset.desiredRetention : retention;
+
+      TRACKS.forEach(track => {
+        const srs = getTrack(w, track);
+        const phase = getPhase(srs);
+        if (phase !== 'review' && phase !== 'relearning') return;
+
+        const interval = options.algorithm === 'fsrs' && srs.stability
+          ? fsrsInterval(srs.stability, r)
+          : (srs.interval || 1) * retentionScale(r);
+        const days = Math.min(options.maxInterval, Math.max(1, interval));
+        total += (1 + (1 - r) * options.relearningSteps.length) / days;
+      });
+    });
+    return Math.round(total);
+  }
+
+  // 1日のうち学習ステップを繰り返す上限（合格率が低い設定で終わらなくなるのを防ぐ）
+  const SIMULATION_MAX_STEPS = 10;
+
+  /**
+   * 今後の1日ごとの復習数・新規数をシミュレーション
+   * 本番と同じ schedule で各カードを「合格率」の確率で正解させながら日を進める
+   * @param {Array} words - 単語配列
+   * @param {Object} settings - { days, passRate, newLimit, reviewLimit, newDone, extraNew, now, seed }
+   *   newDone: トラック → 今日導入済みの新規数 / extraNew: これから追加すると仮定する単語数
+   * @returns {{ days: Array<{ date, reviews, newCards, steps }>, backlog: number }}
+   *   reviews: 日単位の復習 / newCards: 新規導入 / steps: 学習ステップの回答数 / backlog: 期間末に残った期限切れ
+   */
+  function simulate(words, settings = {}) {
+    const now = settings.now || Date.now();
+    const days = settings.days || 30;
+    const passRate = settings.passRate ?? 0.9;
+    const newLimit = settings.newLimit ?? Infinity;
+    const reviewLimit = settings.reviewLimit ?? Infinity;
+    const random = createRandom(settings.seed || 1);
+    const load = new Map();
+
+    const pool = words.filter(w => !w.suspended);
+    for (let i = 0; i < (settings.extraNew || 0); i++) {
+      pool.push({ id: `simulated-${i}`, tags: [], createdAt: now + i, srs: initialData(), skills: {} });
+    }
+
+    // トラックごとのカード（単語本体は書き換えない）
+    const cards = [];
+    pool.forEach(word => {
+      const options = { ...optionsFor(word), workload: load, random };
+      TRACKS.forEach(track => {
+        const card = { word, track, options, srs: getTrack(word, track) };
+        addWorkload(load, card.srs, 1);
+        cards.push(card);
+      });
+    });
+    const byCreated = (a, b) => (a.word.createdAt || 0) - (b.word.createdAt || 0);
+    const byNext = (a, b) => (a.srs.nextReview || 0) - (b.srs.nextReview || 0);
+
+    // 1枚を当日の学習ステップが終わるまで回答し、回答数を返す
+    const answer = (card, time) => {
+      let count = 0;
+      do {
+        const pass = count >= SIMULATION_MAX_STEPS || random() < passRate;
+        addWorkload(load, card.srs, -1);
+        card.srs = schedule(card.srs, pass ? GRADES.good : GRADES.again, time, card.options);
+        addWorkload(load, card.srs, 1);
+        time = Math.max(time, card.srs.nextReview);
+        count++;
+      } while (isLearning(card.srs) && card.srs.nextReview < endOfDay(time));
+      return count;
+    };
+
+    const result = [];
+    for (let d = 0; d < days; d++) {
+      const dayStart = startOfDay(now + d * DAY_MS);
+      const time = d === 0 ? now : dayStart;
+      const dayEnd = endOfDay(time);
+      const day = { date: dayStart, reviews: 0, newCards: 0, steps: 0 };
+
+      TRACKS.forEach(track => {
+        const due = cards.filter(c => c.track === track && getPhase(c.srs) !== 'new' && c.srs.nextReview < dayEnd);
+        const reviews = due.filter(c => getPhase(c.srs) === 'review').sort(byNext).slice(0, reviewLimit);
+        const learning = due.filter(c => getPhase(c.srs) !== 'review');
+        const newDone = d === 0 && settings.newDone ? settings.newDone[track] || 0 : 0;
+        const newCards = cards.filter(c => c.track === track && getPhase(c.srs) === 'new').sort(byCreated);
+        const picked = pickNewCards(pool, newCards.map(c => c.word), Math.max(0, newLimit - newDone), []);
+        const pickedIds = new Set(picked.map(w => w.id));
+
+        learning.forEach(c => { day.steps += answer(c, time); });
+        reviews.forEach(c => {
+          day.reviews++;
+          day.steps += answer(c, time) - 1;
+        });
+        newCards.filter(c => pickedIds.has(c.word.id)).forEach(c => {
+          day.newCards++;
+          day.steps += answer(c, time) - 1;
+        });
+      });
+      result.push(day);
+    }
+
+    const end = endOfDay(now + (days - 1) * DAY_MS);
+    const backlog = cards.filter(c => getPhase(c.srs) === 'review' && c.srs.nextReview < end).length;
+    return { days: result, backlog };
+  }
+
+  // ===================================================
+  // 学習ステップ
+  // ===================================================
+
+  /**
+   * 学習段階を判定 (phase を持たない旧データは復習履歴から推定)
+   * @returns {string} 'new' | 'learning' | 'review' | 'relearning'
+   */
+  function getPhase(srs) {
+    if (!srs) return 'new';
+    if (srs.phase) return srs.phase;
+    return srs.lastReview ? 'review' : 'new';
+  }
+
+  function isLearning(srs) {
+    const phase = getPhase(srs);
+    return phase === 'learning' || phase === 'relearning';
+  }
+
+  /**
+   * 欠けているフィールドを補ったSRSデータを返す
+   */
+  function normalize(srs) {
+    if (!srs) return initialData();
+    return {
+      ...initialData(),
+      ...srs,
+      phase: getPhase(srs),
+      step: srs.step === undefined ? null : srs.step
+    };
+  }
+
+  /**
+   * 学習/再学習ステップを1つ進める
+   * Again: 最初のステップへ / Hard: 同じステップ / Good: 次のステップ / Easy: 即卒業
+   */
+  function advanceStep(current, quality, now, steps, phase, options) {
+    if (current.phase === 'new') {
+      // 初回の回答時にプリセットの初期容易度を適用
+      current = { ...current, easeFactor: options.startingEase };
+    }
+    const step = current.phase === 'new' ? 0 : (current.step || 0);
+    let nextStep;
+    if (quality < 3) nextStep = 0;
+    else if (quality === 3) nextStep = step;
+    else if (quality === 4) nextStep = step + 1;
+    else nextStep = steps.length;
+
+    if (nextStep >= steps.length) {
+      return graduate(current, quality, now, phase, options);
+    }
+    return {
+      ...current,
+      phase,
+      step: nextStep,
+      nextReview: now + steps[nextStep] * MINUTE_MS,
+      lastReview: now
     };
   }
 
   /**
-   * 単語のSRSデータを更新
+   * 学習ステップを終えて日単位の復習に移す
+   */
+  function graduate(current, quality, now, phase, options) {
+    if (phase === 'relearning') {
+      // 日単位の間隔は失敗した時点で計算済み
+      return {
+        ...current,
+        phase: 'review',
+        step: null,
+        nextReview: now + current.interval * DAY_MS,
+        lastReview: now
+      };
+    }
+    return { ...applyAlgorithm(current, quality, now, options), phase: 'review', step: null };
+  }
+
+  /**
+   * 回答に応じてSRSデータを更新（学習ステップ → 設定中のアルゴリズム）
+   * @param {Object} srs - 現在のSRSデータ
+   * @param {number} quality - 回答品質 (0-5)
+   * @param {number} [now] - 基準時刻 (ms)
+   * @param {Object} [options] - 出題設定（単語のタグのプリセットは optionsFor で取得）
+   * @returns {Object} 新しいSRSデータ
+   */
+  function schedule(srs, quality, now = Date.now(), options = config) {
+    const current = normalize(srs);
+
+    switch (current.phase) {
+      case 'new':
+      case 'learning':
+        return advanceStep(current, quality, now, options.learningSteps, 'learning', options);
+      case 'relearning':
+        return advanceStep(current, quality, now, options.relearningSteps, 'relearning', options);
+      default: {
+        const next = applyAlgorithm(current, quality, now, options);
+        if (quality < 3) {
+          next.lapses = (current.lapses || 0) + 1;
+        }
+        if (quality < 3 && options.relearningSteps.length > 0) {
+          // 失敗: 日単位の記録は更新した上で、当日中に再学習ステップで出題し直す
+          return {
+            ...next,
+            phase: 'relearning',
+            step: 0,
+            nextReview: now + options.relearningSteps[0] * MINUTE_MS
+          };
+        }
+        return { ...next, phase: 'review', step: null };
+      }
+    }
+  }
+
+  // ===================================================
+  // スキル別トラック
+  // ===================================================
+  /**
+   * 認識 (英→日)・想起 (日→英)・スペルは別々の技能なので、出題間隔も別々に管理する
+   * 認識は従来どおり word.srs、それ以外は word.skills[track] に保存
+   */
+  const TRACKS = ['recognition', 'recall', 'spelling'];
+  const DEFAULT_TRACK = 'recognition';
+  const MODE_TRACKS = {
+    flashcard: 'recognition',
+    review: 'recognition',
+    reading: 'recognition',
+    matching: 'recognition',
+    recall: 'recall',
+    spelling: 'spelling'
+  };
+
+  function trackForMode(mode) {
+    return MODE_TRACKS[mode] || DEFAULT_TRACK;
+  }
+
+  /**
+   * 単語の指定トラックのSRSデータ（未学習なら初期値）
+   */
+  function getTrack(word, track = DEFAULT_TRACK) {
+    if (track === DEFAULT_TRACK) return word.srs || initialData();
+    return (word.skills && word.skills[track]) || initialData();
+  }
+
+  /**
+   * 指定トラックのSRSデータを差し替えた単語を返す
+   */
+  function setTrack(word, track, srs) {
+    if (track === DEFAULT_TRACK) return { ...word, srs };
+    return { ...word, skills: { ...(word.skills || {}), [track]: srs } };
+  }
+
+  /**
+   * 全トラックを FSRS 用に移行した単語を返す
+   */
+  function migrateWord(word) {
+    return TRACKS.reduce((w, track) => setTrack(w, track, migrate(getTrack(word, track))), word);
+  }
+
+  const PHASE_RANK = { new: 0, learning: 1, relearning: 2, review: 3 };
+
+  /**
+   * 2つのSRSデータのうち学習が進んでいる方（学習段階 → 間隔 → 連続正解 → 最終復習の順に比較）
+   */
+  function moreAdvanced(a, b) {
+    const rank = srs => [PHASE_RANK[getPhase(srs)], srs.interval || 0, srs.repetitions || 0, srs.lastReview || 0];
+    const ra = rank(a);
+    const rb = rank(b);
+    for (let i = 0; i < ra.length; i++) {
+      if (ra[i] !== rb[i]) return ra[i] > rb[i] ? a : b;
+    }
+    return a;
+  }
+
+  /**
+   * 重複した単語の学習状況をトラックごとに進んでいる方へそろえた単語を返す
+   * @param {Object} target - 統合先の単語
+   * @param {Array} words - 統合する単語（target を含む）
+   */
+  function mergeProgress(target, words) {
+    return TRACKS.reduce((w, track) => {
+      const best = words.map(x => getTrack(x, track)).reduce(moreAdvanced);
+      return setTrack(w, track, best);
+    }, target);
+  }
+
+  // ===================================================
+  // 試験対策（詰め込み復習）
+  // ===================================================
+  /**
+   * 試験日 { date: 'YYYY-MM-DD', minReviews } を設定したタグの単語を、試験までに
+   * minReviews 回正解するよう間隔を詰めて出題する。
+   * 進み具合は word.cram[tag] に記録し、長期の予定 (word.srs) には触れない。
+   * 試験日を過ぎたら詰め込みの記録は不要になり、通常の予定だけが残る。
+   */
+  const CRAM_RETRY_MINUTES = 10;
+
+  /**
+   * 試験日の0時 (ms)
+   */
+  function examStart(exam) {
+    const [y, m, d] = exam.date.split('-').map(Number);
+    return new Date(y, m - 1, d).getTime();
+  }
+
+  /**
+   * 試験日の当日まで有効
+   */
+  function isExamActive(exam, now = Date.now()) {
+    return now < examStart(exam) + DAY_MS;
+  }
+
+  function getCram(word, tag) {
+    return (word.cram && word.cram[tag]) || { count: 0, lastReview: null, nextReview: null };
+  }
+
+  /**
+   * 詰め込み復習の次回を計算
+   * - 不正解: 10分後にもう一度
+   * - 正解: 残り回数を試験日までに均等に割り振る（目標回数に達したら終了）
+   * @returns {Object} { count, lastReview, nextReview }（達成時 nextReview は null）
+   */
+  function scheduleCram(cram, quality, exam, now = Date.now()) {
+    const count = quality >= 3 ? cram.count + 1 : cram.count;
+    let nextReview = null;
+    if (quality < 3) {
+      nextReview = now + CRAM_RETRY_MINUTES * MINUTE_MS;
+    } else if (count < exam.minReviews) {
+      const spacing = Math.max(0, examStart(exam) - now) / (exam.minReviews - count + 1);
+      nextReview = now + Math.max(CRAM_RETRY_MINUTES * MINUTE_MS, spacing);
+    }
+    return { count, lastReview: now, nextReview };
+  }
+
+  /**
+   * 詰め込み復習の回答を反映した単語を返す（word.srs はそのまま）
+   */
+  function cramReview(word, quality, tag, exam, now = Date.now()) {
+    return {
+      ...word,
+      cram: { ...(word.cram || {}), [tag]: scheduleCram(getCram(word, tag), quality, exam, now) }
+    };
+  }
+
+  function isCramDue(word, tag, exam, now = Date.now()) {
+    if (word.suspended || !(word.tags || []).includes(tag) || !isExamActive(exam, now)) return false;
+    const cram = getCram(word, tag);
+    if (cram.count >= exam.minReviews) return false;
+    return !cram.nextReview || cram.nextReview <= now + LEARN_AHEAD_MS;
+  }
+
+  /**
+   * 今出題する詰め込み復習の単語（正解回数の少ない順 → 期限の古い順）
+   */
+  function getCramWords(words, tag, exam, now = Date.now()) {
+    return words
+      .filter(w => isCramDue(w, tag, exam, now))
+      .sort((a, b) => {
+        const ca = getCram(a, tag);
+        const cb = getCram(b, tag);
+        return (ca.count - cb.count) || ((ca.nextReview || 0) - (cb.nextReview || 0));
+      });
+  }
+
+  /**
+   * タグの詰め込み復習の達成状況
+   * @returns {{ total, done, daysLeft }}
+   */
+  function cramProgress(words, tag, exam, now = Date.now()) {
+    const targets = words.filter(w => !w.suspended && (w.tags || []).includes(tag));
+    return {
+      total: targets.length,
+      done: targets.filter(w => getCram(w, tag).count >= exam.minReviews).length,
+      daysLeft: Math.max(0, Math.round((examStart(exam) - startOfDay(now)) / DAY_MS))
+    };
+  }
+
+  /**
+   * 詰め込み復習で各評価を選んだ場合の次回までの時間（達成で終了なら null）
+   */
+  function previewCram(word, tag, exam, now = Date.now()) {
+    const result = {};
+    Object.keys(GRADES).forEach(grade => {
+      const next = scheduleCram(getCram(word, tag), GRADES[grade], exam, now).nextReview;
+      result[grade] = next === null ? null : next - now;
+    });
+    return result;
+  }
+
+  // ===================================================
+  // リーチ（何度も忘れる単語）
+  // ===================================================
+
+  function isLeech(word) {
+    return !!(word.tags && word.tags.includes(LEECH_TAG));
+  }
+
+  /**
+   * 忘れた回数がしきい値に達したか（以降はしきい値の半分ごとに再判定）
+   */
+  function reachedLeechThreshold(lapses) {
+    const threshold = config.leechThreshold;
+    if (!threshold || lapses < threshold) return false;
+    const every = Math.max(1, Math.ceil(threshold / 2));
+    return (lapses - threshold) % every === 0;
+  }
+
+  /**
+   * 単語のSRSデータを更新（リーチ判定を含む）
    * @param {Object} word - 単語オブジェクト
    * @param {number} quality - 回答品質 (0-5)
+   * @param {number} [now] - 基準時刻 (ms)
+   * @param {string} [track] - 'recognition' | 'recall' | 'spelling'
    * @returns {Object} 更新された単語オブジェクト
    */
-  function reviewWord(word, quality) {
-    const srs = word.srs || initialData();
-    const newSRS = calculate(quality, srs.repetitions, srs.easeFactor, srs.interval);
-    return { ...word, srs: newSRS };
+  function reviewWord(word, quality, now = Date.now(), track = DEFAULT_TRACK) {
+    const before = getTrack(word, track);
+    const srs = schedule(before, quality, now, optionsFor(word));
+    const result = setTrack(word, track, srs);
+    const lapsed = (srs.lapses || 0) > (before.lapses || 0);
+
+    if (lapsed && reachedLeechThreshold(srs.lapses)) {
+      result.tags = isLeech(word) ? word.tags : [...(word.tags || []), LEECH_TAG];
+      if (config.leechAction === 'suspend') result.suspended = true;
+    }
+    updateWorkload(word, result);
+    return result;
+  }
+
+  /**
+   * 各評価を選んだ場合の次回までの間隔を試算（ボタン表示用）
+   * @param {Object} srs - 現在のSRSデータ
+   * @param {number} [now] - 基準時刻 (ms)
+   * @param {Object} [options] - 出題設定（optionsFor の結果）
+   * @returns {{ again, hard, good, easy }} 次回までのミリ秒
+   */
+  function previewIntervals(srs, now = Date.now(), options = config) {
+    const result = {};
+    // ボタンにはばらつきを付ける前の間隔を表示
+    const exact = { ...options, fuzz: false };
+    Object.keys(GRADES).forEach(grade => {
+      result[grade] = schedule(srs, GRADES[grade], now, exact).nextReview - now;
+    });
+    return result;
+  }
+
+  /**
+   * 間隔を「10分」「1日」「4日」「2.5ヶ月」のような表記に変換
+   * @param {number} ms - ミリ秒
+   * @returns {string}
+   */
+  function formatInterval(ms) {
+    const minutes = Math.max(1, Math.round(ms / 60000));
+    if (minutes < 60) return `${minutes}分`;
+    const hours = Math.round(minutes / 60);
+    if (hours < 24) return `${hours}時間`;
+    const days = Math.round(ms / DAY_MS);
+    if (days < 30) return `${days}日`;
+    if (days < 365) return `${Math.round(days / 30 * 10) / 10}ヶ月`;
+    return `${Math.round(days / 365 * 10) / 10}年`;
   }
 
   /**
@@ -90,37 +966,169 @@ const SRS = (function () {
       easeFactor: DEFAULT_EASE_FACTOR,
       interval: 0,
       nextReview: null,
-      lastReview: null
+      lastReview: null,
+      stability: null,
+      difficulty: null,
+      phase: 'new',
+      step: null,
+      lapses: 0
     };
   }
 
+  function startOfDay(now = Date.now()) {
+    const d = new Date(now);
+    d.setHours(0, 0, 0, 0);
+    return d.getTime();
+  }
+
+  function endOfDay(now = Date.now()) {
+    return startOfDay(now) + DAY_MS;
+  }
+
+  /**
+   * 出題期限が来ているか
+   * - 日単位の復習: 今日中に期限が来るものはすべて対象
+   * - 学習ステップ中: 分単位の期限で判定（少しだけ前倒し可）
+   */
+  function isDue(srs, now = Date.now()) {
+    if (!srs || !srs.nextReview) return true; // 未学習
+    if (isLearning(srs)) return srs.nextReview <= now + LEARN_AHEAD_MS;
+    return srs.nextReview < endOfDay(now);
+  }
+
   /**
    * 復習が必要な単語をフィルタリング
    * @param {Array} words - 単語配列
+   * @param {string} [track] - 対象トラック
    * @returns {Array} 復習対象の単語配列 (優先度順)
    */
-  function getDueWords(words) {
+  function getDueWords(words, track = DEFAULT_TRACK) {
     const now = Date.now();
     return words
-      .filter(w => {
-        if (!w.srs || !w.srs.nextReview) return true; // 未学習
-        return w.srs.nextReview <= now;
-      })
+      .filter(w => !w.suspended && isDue(getTrack(w, track), now))
       .sort((a, b) => {
         // 未学習を先に、その後は期限の古い順
-        const aNext = (a.srs && a.srs.nextReview) || 0;
-        const bNext = (b.srs && b.srs.nextReview) || 0;
+        const aNext = getTrack(a, track).nextReview || 0;
+        const bNext = getTrack(b, track).nextReview || 0;
         return aNext - bNext;
       });
   }
 
+  /**
+   * 今日の回答ログから進捗を集計（同じ単語の複数回答は1語として数える）
+   * @param {Array} reviews - 今日の回答ログ
+   * @param {string} [track] - 指定時は新規・復習数をそのトラックの回答だけで数える
+   * @returns {{ newCards, reviews, studied, newWordIds }} 新規導入数・復習数・学習した単語数・新規導入した単語ID
+   */
+  function summarizeDay(reviews, track) {
+    const newIds = new Set();
+    const reviewIds = new Set();
+    const studiedIds = new Set();
+
+    reviews.forEach(r => {
+      studiedIds.add(r.wordId);
+      if (r.mode === 'matching' || r.mode === 'cram' || !r.srsBefore) return; // SRSを動かさないモード
+      if (track && (r.track || DEFAULT_TRACK) !== track) return;
+      const phase = getPhase(r.srsBefore);
+      if (phase === 'new') newIds.add(r.wordId);
+      else if (phase === 'review') reviewIds.add(r.wordId);
+    });
+
+    return {
+      newCards: newIds.size,
+      reviews: reviewIds.size,
+      studied: studiedIds.size,
+      newWordIds: [...newIds]
+    };
+  }
+
+  /**
+   * 全体の新規上限とタグ別プリセットの新規上限の両方を満たすよう新規カードを選ぶ
+   */
+  function pickNewCards(words, newCards, limit, newWordIds) {
+    const canIntroduce = newCardFilter(words, newWordIds);
+    const picked = [];
+    for (const w of newCards) {
+      if (picked.length >= limit) break;
+      if (canIntroduce(w)) picked.push(w);
+    }
+    return picked;
+  }
+
+  /**
+   * タグ別プリセットの新規上限を数えながら、新規カードを導入できるか判定する関数を作る
+   * @param {Array} words - 今日導入済みの単語を含む単語配列
+   * @param {Array<string>} newWordIds - 今日導入済みの単語ID
+   * @returns {Function} (word) => boolean（true を返した単語は導入した数に加える）
+   */
+  function newCardFilter(words, newWordIds) {
+    const introduced = {};
+    const doneIds = new Set(newWordIds);
+    words.forEach(w => {
+      const tag = doneIds.has(w.id) && presetTagFor(w);
+      if (tag) introduced[tag] = (introduced[tag] || 0) + 1;
+    });
+
+    return w => {
+      const tag = presetTagFor(w);
+      const tagLimit = tag ? config.presets[tag].newPerDay : null;
+      if (tagLimit !== undefined && tagLimit !== null) {
+        if ((introduced[tag] || 0) >= tagLimit) return false;
+        introduced[tag] = (introduced[tag] || 0) + 1;
+      }
+      return true;
+    };
+  }
+
+  /**
+   * 今日の出題キューを作成
+   * 並び順: 学習ステップ中 → 期限切れの復習（古い順） → 新規（登録順）
+   * @param {Array} words - 単語配列
+   * @param {Object} options - { newLimit, reviewLimit, newDone, reviewsDone, newWordIds, now, track }
+   *   プリセットに newPerDay があるタグの新規は、今日導入済み (newWordIds) と合わせてその数まで
+   * @returns {{ queue: Array, learning: number, review: number, new: number, capped: boolean }}
+   */
+  function buildQueue(words, options = {}) {
+    const now = options.now || Date.now();
+    const track = options.track || DEFAULT_TRACK;
+    const next = w => getTrack(w, track).nextReview;
+    const newLeft = Math.max(0, (options.newLimit ?? Infinity) - (options.newDone || 0));
+    const reviewLeft = Math.max(0, (options.reviewLimit ?? Infinity) - (options.reviewsDone || 0));
+
+    const learning = [];
+    const reviews = [];
+    const newCards = [];
+    words.filter(w => !w.suspended && isDue(getTrack(w, track), now)).forEach(w => {
+      const phase = getPhase(getTrack(w, track));
+      if (phase === 'new') newCards.push(w);
+      else if (phase === 'review') reviews.push(w);
+      else learning.push(w);
+    });
+
+    learning.sort((a, b) => next(a) - next(b));
+    reviews.sort((a, b) => next(a) - next(b));
+    newCards.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+
+    const pickedReviews = reviews.slice(0, reviewLeft);
+    const pickedNew = pickNewCards(words, newCards, newLeft, options.newWordIds || []);
+
+    return {
+      queue: [...learning, ...pickedReviews, ...pickedNew],
+      learning: learning.length,
+      review: pickedReviews.length,
+      new: pickedNew.length,
+      capped: pickedReviews.length < reviews.length || pickedNew.length < newCards.length
+    };
+  }
+
   /**
    * 単語の習得レベルを判定
    * @param {Object} word - 単語オブジェクト
+   * @param {string} [track] - 対象トラック（省略時は認識）
    * @returns {string} 'new' | 'learning' | 'reviewing' | 'mastered'
    */
-  function getLevel(word) {
-    const srs = word.srs || initialData();
+  function getLevel(word, track = DEFAULT_TRACK) {
+    const srs = getTrack(word, track);
     if (srs.repetitions === 0 && !srs.lastReview) return 'new';
     if (srs.repetitions < 2) return 'learning';
     if (srs.interval >= 21) return 'mastered';
@@ -156,10 +1164,55 @@ const SRS = (function () {
   }
 
   return {
+    GRADES,
+    LEECH_TAG,
+    TRACKS,
+    DEFAULT_WEIGHTS: FSRS_DEFAULT_WEIGHTS.slice(),
+    configure,
+    getAlgorithm,
+    presetTagFor,
+    optionsFor,
+    createRandom,
+    setWorkload,
+    updateWorkload,
+    previewWorkload,
+    estimateDailyReviews,
+    simulate,
+    retentionScale,
     calculate,
+    calculateFSRS,
+    nextMemoryState,
+    toGrade,
+    schedule,
+    migrate,
+    migrateWord,
+    moreAdvanced,
+    mergeProgress,
+    trackForMode,
+    getTrack,
+    setTrack,
+    retrievability,
     reviewWord,
+    isLeech,
+    previewIntervals,
+    formatInterval,
     initialData,
+    normalize,
+    getPhase,
+    isLearning,
+    isDue,
+    startOfDay,
+    endOfDay,
     getDueWords,
+    summarizeDay,
+    buildQueue,
+    newCardFilter,
+    isExamActive,
+    getCram,
+    cramReview,
+    getCramWords,
+    cramProgress,
+    previewCram,
     getLevel,
     getLevelColor,
     getLevelLabel
@@ -5,7 +5,7 @@
    - CDNリソースのネットワークファースト戦略
    ====================================================== */
 
-const CACHE_NAME = 'vocabsnap-v6';
+const CACHE_NAME = 'vocabsnap-v10';
 const STATIC_ASSETS = [
   './',
   './index.html',
@@ -13,6 +13,10 @@ const STATIC_ASSETS = [
   './js/db.js',
   './js/ocr.js',
   './js/srs.js',
+  './js/csv.js',
+  './js/anki.js',
+  './js/crypto.js',
+  './js/optimizer-worker.js',
   './js/app.js',
   './manifest.json',
   './icons/icon-192.svg',